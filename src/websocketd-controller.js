@@ -11,6 +11,8 @@ import { version } from 'ext/version.js';
 
     {
         "cmdLine":string|string[],
+        "steps":object[],
+        "extends":string,
         "usePath":boolean,
         "useShell":boolean,
         "shell":string,
@@ -19,14 +21,52 @@ import { version } from 'ext/version.js';
         "redirectStderr":boolean,
         "forwardStderr":boolean,
         "timeout":integer,
+        "idleTimeout":integer,
+        "killSignal":string,
+        "killGracePeriod":integer,
         "oneShot":boolean,
+        "maxRuns":integer,
+        "maxConcurrent":integer,
+        "lockGroup":string,
+        "onBusy":string,
+        "detachable":boolean,
         "forwardStdin": boolean,
+        "stdinProtocol": string,
         "passwords":string|string[],
+        "requireToken":boolean,
+        "maxAuthFailures":integer,
+        "authFailureWindow":integer,
+        "lockoutDuration":integer,
+        "allowedOrigins":string|string[],
+        "allowedAddresses":string|string[],
+        "deniedAddresses":string|string[],
+        "trustProxyHeader":boolean,
+        "trustedProxies":string|string[],
+        "params":object,
+        "substitution":object,
+        "parsers":object[],
+        "limits":object,
+        "user":string,
+        "group":string,
+        "groups":string[],
+        "outputFormat":string,
+        "eventKey":string,
+        "encoding":string,
+        "batchInterval":integer,
+        "batchMaxLines":integer,
+        "maxRate":integer,
+        "maxOutputBytes":integer,
+        "maxOutputLines":integer,
+        "onOutputLimit":string,
+        "heartbeatInterval":integer,
         "env":object
     }
 
     - cmdLine : mandatory, command line to execute.
                 Any %xx% will be replaced with the value of environment variable xx
+    - steps : can be used instead of cmdLine to execute multiple commands, one after another (see below)
+    - extends : identifier of another task (in context directory) whose properties will be inherited
+                Objects are merged recursively and properties defined in the task override inherited ones
     - usePath : if {true}, PATH variable will be used (default = {true})
     - useShell : whether or not cmdLine should be cause using shell (default = {false})
     - shell : shell to use, will be ignored if {useShell} is {false} (default = /bin/sh)
@@ -35,14 +75,113 @@ import { version } from 'ext/version.js';
     - redirectStderr : if {true}, stderr will be redirected to stdout (default = {false})
     - forwardStderr : if {true}, stderr content will be forwarded to client (default = {false})
     - timeout : if defined, process will be killed after this number of seconds if it is still running
-    - oneShot : if {true}, json file will be automatically removed after being read (default = {true})
+    - idleTimeout : if defined, process will be killed if no output was received during this number of seconds
+    - killSignal : signal sent to process when it needs to be killed (default = SIGTERM)
+                   NB: it is checked even without --strict
+    - killGracePeriod : if defined, SIGKILL will be sent to the whole process group if process is still running
+                        this number of seconds after {killSignal} was sent
+    - oneShot : if {true}, json file will be automatically removed before task is executed (default = {true})
+                If multiple clients try to execute the task at the same time, only one of them will succeed
+    - maxRuns : if defined, json file will be automatically removed after task was executed this number of times
+               NB: counter (.{task_id}.runs in --state-dir) is kept afterwards & needs to be removed before re-creating the task
+                (it takes precedence over {oneShot})
+               NB: task file is only removed (or execution counted) once client was authorized & a slot was acquired,
+                   so rejected clients & --dry-run do not use up the executions of the task
+    - maxConcurrent : if defined, maximum number of concurrent executions of the task
+    - lockGroup : if defined, all tasks using the same lock group will share the same limit
+                  (if {maxConcurrent} is not defined, only one task of the group can run at a time)
+    - onBusy : what to do when limit is reached (default = reject)
+               - reject : send a busy event and exit
+               - wait : wait in a queue and send a queued event whenever position in queue changes
+               NB: limit is also considered reached when clients are waiting in queue
+    - detachable : if {true}, task will keep running after ws connection is closed (default = {false}) (see below)
     - forwardStdin : if {true}, input received from client will be forwarded to process (default = {true})
+    - stdinProtocol : how input received from client should be processed (default = raw)
+                      - raw : input will be forwarded as is to process
+                      - json : each line is expected to be a json message (see below)
     - passwords : used to protect access using one password or a list of passwords
+                  Each password can be stored as plain text or hashed using one of below formats
+                  - sha256:<hex digest>
+                  - pbkdf2:<iterations>:<hex salt>:<hex hash> (pbkdf2 using hmac-sha256)
+    - requireToken : if {true}, a valid token will be required to access the task (default = {false})
+    - maxAuthFailures : if defined, remote address (or IPv6 /64 prefix) will be locked out after this number of wrong passwords
+                        during {authFailureWindow} (default = --max-auth-failures)
+    - authFailureWindow : number of seconds during which wrong passwords are counted (default = --auth-failure-window or 300)
+    - lockoutDuration : number of seconds during which remote address will be locked out (default = --lockout-duration or 60)
+                        It is doubled after each lockout (up to 1 day) until a valid password is provided
+    - allowedOrigins : if defined, ws connection can only be opened from one of these origins
+                       (in addition to the checks performed by --same-origin & --allowed-origin)
+    - allowedAddresses : if defined, only clients whose address matches one of these addresses or CIDR ranges will be
+                         allowed (default = --allowed-address)
+    - deniedAddresses : if defined, clients whose address matches one of these addresses or CIDR ranges will be rejected,
+                        even if they match {allowedAddresses} (default = --denied-address)
+    - trustProxyHeader : if {true}, address of the client will be retrieved from the last address of X-Forwarded-For header
+                         instead of REMOTE_ADDR (default = --trust-proxy-header)
+                         Header is only used when REMOTE_ADDR matches {trustedProxies}
+    - trustedProxies : addresses or CIDR ranges of the reverse proxies allowed to set X-Forwarded-For header
+                       (default = --trusted-proxy)
+    - params : used to declare the query parameters accepted by the task (see below)
+    - substitution : used to define how each %xx% should be replaced in cmdLine when {useShell} is {true}
+                     (ex: {"QS_host":"env"}). Each variable can use one of below modes (default = quoted)
+                     - quoted : value will be enclosed with single quotes
+                     - raw : value will be used as is (unsafe)
+                     - env : %xx% will be replaced with "$xx" so that shell reads the value from environment
+                             (task will be rejected if {useShell} is not {true})
+    - parsers : used to emit structured events when a line of output matches a regular expression (see below)
+    - limits : resource limits applied to child process using prlimit & nice (see below)
+    - user : if defined, name or uid of the user used to execute the child process (HOME, USER & LOGNAME will be updated)
+    - group : if defined, name or gid of the group used to execute the child process (default = primary group of the user)
+    - groups : if defined, supplementary groups (names or gids) of the child process
+               (default = groups of the user if {user} is defined, no group otherwise)
+               NB: child process is executed using setpriv and controller needs to be run as root to switch user or groups
+    - outputFormat : format of the lines printed by the task on stdout (default = text)
+                     - text : each line will be sent as a string in {data}
+                     - jsonl : each line will be parsed as json and sent as is in {data}
+                       (if line is not a valid json, it will be sent as a string and {parseError} will be set to {true})
+                     NB: only used when {lineBuffered} is {true}
+    - eventKey : when using jsonl output format, property of the json object containing the name of the event to emit
+                 (it will be removed from {data})
+    - encoding : how content received on stdout should be encoded (default = utf8)
+                 - utf8 : content is sent as text
+                 - base64 : content is sent as base64 (binary-safe)
+                 - hex : content is sent as hex (binary-safe)
+                 NB: when using base64 or hex, output is never line buffered
+                     & stderr is decoded as utf-8 (invalid sequences are replaced with U+FFFD)
+    - heartbeatInterval : if defined, a heartbeat event will be sent every {heartbeatInterval} seconds while task is running
+    - batchInterval : if defined, stdout & stderr events will be grouped and sent every {batchInterval} ms (see below)
+    - batchMaxLines : if defined, grouped events will be sent as soon as they contain this number of lines
+                      (default interval is 100 ms if {batchInterval} is not defined)
+    - maxRate : if defined, maximum number of stdout & stderr events sent per second (excess output will be dropped)
+    NB: batching & rate limiting do not apply to stdout when {outputFormat} is {jsonl} or {encoding} is not {utf8}
+    - maxOutputBytes : if defined, maximum number of bytes forwarded to client in stdout & stderr events
+                       (default = value of --max-output-bytes)
+    - maxOutputLines : if defined, maximum number of stdout & stderr events forwarded to client
+                       (default = value of --max-output-lines)
+                       NB: a line matched by an output parser is counted even if it is not forwarded
+    - onOutputLimit : what to do when output limit is reached (default = truncate)
+                      - truncate : stop forwarding output & let process run
+                      - kill : stop forwarding output & kill process
     - env : used to define extra environment variables for child process
             Any %xx% will be replaced with the value of environment variable xx
 
+    NB: if a file named _defaults.json exists in context directory, its properties will be used as default values
+        for all tasks (it cannot be executed as a task)
+
     NB: query string will be automatically parsed. A query parameter xx can be referenced as %QS_xx% (wherever an environment variable can be used)
         "_password" is a special query parameter used to perform access control (it will never be passed to child process)
+        "_token" is a special query parameter used to provide a signed token (it will never be passed to child process)
+
+    Tokens
+    ======
+
+    When --token-secret-file is defined, a token can be used instead of a password (using "_token" query parameter)
+
+        <expiry>.<params hash>.<signature>
+
+    - expiry : unix timestamp (in seconds) after which token will be rejected
+    - params hash : optional, hex sha256 of the sorted & percent-encoded query parameters (ex: sha256("a=1&b=x%26y"))
+                    If defined, token can only be used with these query parameters
+    - signature : hex hmac-sha256 of "<task_id>.<expiry>.<params hash>" using the secret
 
     Examples
 
@@ -65,12 +204,191 @@ import { version } from 'ext/version.js';
     - invalid parameter : 2
     - task not found or invalid json : 3
     - invalid task definition : 4
-    - same origin policy mismatch : 5
-    - wrong password : 6
+    - same origin policy mismatch or origin not allowed : 5
+    - wrong password or invalid token : 6
+    - invalid query parameter : 7
+    - maximum number of concurrent executions reached : 8
+    - user or groups cannot be used to execute the task : 9
+    - too many wrong passwords : 10
+    - client address not allowed : 11
+    - unexpected error while executing the task : 12
+    - detached run could not be started : 13
+    - supervisor of a detached run stopped before the end of the run : 14
     - child process exited successfully : 0
     - child process exited with an error or was killed : 1
     - wrong qls-ext-lib version : 255
 
+    Except for invalid parameter & wrong qjs-ext-lib version, an error event will be sent to the client before exiting
+    (see below)
+
+    Steps
+    =====
+
+    Each step has the following format
+
+        {
+            "name":string,
+            "cmdLine":string|string[],
+            "cwd":string,
+            "env":object,
+            "timeout":integer,
+            "continueOnError":boolean
+        }
+
+    - name : optional name of the step (sent in stepStart & stepExit events)
+    - cmdLine : mandatory, command line to execute
+    - cwd : if set, overrides the cwd of the task
+    - env : extra environment variables (merged with the env of the task)
+    - timeout : if set, overrides the timeout of the task
+    - continueOnError : if {true}, next step will be executed even if this step fails (default = {false})
+
+    Parameters
+    ==========
+
+    When {params} is defined, only the declared query parameters will be accepted and each of them
+    will be validated before executing the command
+
+        "params":{
+            "xx":{
+                "type":string,
+                "required":boolean,
+                "default":string|integer|boolean,
+                "regex":string,
+                "min":integer,
+                "max":integer,
+                "values":string[],
+                "secret":boolean
+            }
+        }
+
+    - type : one of (string, integer, boolean, enum) (default = string)
+    - required : if {true}, query parameter must be defined (default = {false})
+    - default : value to use if query parameter is not defined
+    - regex : if defined, whole value should match this regular expression (it is implicitly anchored)
+    - min : minimum value (integer) or minimum length (string), not supported for boolean & enum
+    - max : maximum value (integer) or maximum length (string), not supported for boolean & enum
+    - values : list of accepted values (mandatory for enum)
+    - secret : if {true}, value will be redacted in audit log & in output (default = {false})
+
+    NB: boolean values will be normalized to "true" or "false" ("1" & "0" are also accepted). Unknown properties
+        are rejected when using --strict
+
+    Resource limits
+    ===============
+
+        "limits":{
+            "cpu":integer,
+            "memory":integer,
+            "fileSize":integer,
+            "openFiles":integer,
+            "processes":integer,
+            "nice":integer
+        }
+
+    - cpu : maximum cpu time in seconds (prlimit --cpu)
+    - memory : maximum size of the address space in bytes (prlimit --as)
+    - fileSize : maximum size of the files created by the process in bytes (prlimit --fsize)
+    - openFiles : maximum number of open files (prlimit --nofile)
+    - processes : maximum number of processes of the user (prlimit --nproc)
+    - nice : niceness, between -20 and 19 (nice -n)
+
+    NB: command line will be executed using prlimit & nice (found using PATH). When {useShell} is {true}, the shell itself
+        will be executed by the wrappers. When {usePath} is {false}, executable of the task is resolved relatively to
+        the working directory of the task before being passed to the wrappers
+
+    NB: if process was killed because {cpu} or {fileSize} limit was exceeded, state of the exit event will contain
+        a {limit} property with the name of the limit
+
+    Output parsers
+    ==============
+
+    Each parser has the following format
+
+        {
+            "regex":string,
+            "event":string,
+            "fields":object,
+            "stream":string,
+            "forwardLine":boolean
+        }
+
+    - regex : mandatory, regular expression (named capture groups are used to define the fields of the event)
+    - event : mandatory, name of the event to emit when a line matches
+    - fields : type of each named capture group, one of (string, integer, float, boolean)
+               (if not defined, all named capture groups will be sent as strings)
+               NB: event, timestamp, seq & elapsed are reserved & cannot be used as fields
+    - stream : output to parse, one of (stdout, stderr) (default = stdout)
+    - forwardLine : if {false}, matching lines will not be sent as stdout or stderr events (default = {true})
+
+    Example
+
+        {"regex":"^(?<percent>[0-9]+)% done$", "event":"progress", "fields":{"percent":"integer"}}
+
+        => {"event":"progress","percent":42,"timestamp":1616147036940}
+
+    NB: parsers are only used when {lineBuffered} is {true} and only the first matching parser is applied
+
+    Json stdin protocol
+    ===================
+
+    When {stdinProtocol} is {json}, each line received from client is expected to be one of the json messages below
+
+        - {"action":"stdin","data":string} : write {data} to the stdin of the process (no new line will be appended)
+        - {"action":"closeStdin"} : close the stdin of the process
+        - {"action":"signal","name":string} : send a signal to the process (ex: SIGINT)
+
+    NB: {stdin} & {closeStdin} messages will be ignored if {forwardStdin} is {false}. The stdin of the process
+        is closed when client input is closed, even if no {closeStdin} message was received
+
+    Audit log
+    =========
+
+    When --audit-log is defined, a json entry will be appended to the file for each connection (including rejected ones)
+
+        {
+            "startTime":integer,
+            "endTime":integer,
+            "remoteAddr":string,
+            "remoteHost":string,
+            "clientAddr":string,
+            "origin":string,
+            "pathInfo":string,
+            "taskId":string,
+            "runId":string,
+            "queryParams":object,
+            "auth":{"method":string,"passed":boolean},
+            "cmdLine":string|string[],
+            "exitCode":integer,
+            "didTimeout":boolean,
+            "signal":string,
+            "bytes":integer,
+            "error":string,
+            "errorCode":string,
+            "controllerExitCode":integer
+        }
+
+    - clientAddr : address of the client retrieved from X-Forwarded-For header (only defined if header was sent by a trusted proxy)
+    - queryParams : query parameters ("_password", "_token" & parameters declared as {secret} are redacted)
+    - auth : method used to perform access control (none, password or token) & whether or not it succeeded
+    - exitCode, didTimeout, signal : state of the child process (only defined if task was executed)
+    - bytes : number of bytes sent to client
+    - error : error message (only defined if connection was rejected)
+    - errorCode : code of the error sent to the client (only defined if connection was rejected)
+
+    Detached runs
+    =============
+
+    When {detachable} is {true}, task is executed by a supervisor which is not killed when ws connection is closed.
+    Events are written to a journal in {state dir}/runs/{run_id} and a {started} event containing the run id is sent
+    to the client
+
+    Connecting to /{task_id}/attach/{run_id} will replay the journal and follow the output until the {exit} event.
+    Origin, address, token & password of the client are checked using the task definition saved when run was started
+
+    Run directories are removed once run finished more than --run-retention seconds ago (when another run is started)
+
+    NB: stdin of the process is closed and client messages are ignored
+
     Environment variables
     =====================
 
@@ -80,11 +398,79 @@ import { version } from 'ext/version.js';
     - all variables defined in {env} object
     - query string will be automatically parsed and a query parameter xx will be available as environment variable QS_xx
 
+    A variable defined in {env} can be loaded from a file, using {"fromFile":string} instead of a string
+    (path is relative to context directory). File is read when task is executed and a final new line is ignored
+
+        {"DB_PASSWORD":{"fromFile":"/run/secrets/db_pass"}}
+
+    Values loaded from files & values of {secret} query parameters are secrets
+
+    - they are never displayed by --dry-run
+    - they are replaced with *** in stdout & stderr events, in stderr logging and in command lines (audit log & start event)
+
+    NB: redaction is best effort
+        - secrets are not redacted from stdout when {encoding} is {base64} or {hex}
+        - a secret split over two chunks of output will not be redacted when {lineBuffered} is {false}
+        - only verbatim secrets are redacted (an encoded or transformed secret will not be redacted)
+
     Output
     ======
 
     Output printed to stdout will be forwarded to ws client by websocketd
 
+    When controller exits because of an error, a json event will be printed to stdout
+
+        {
+            "event":"error",
+            "code":string,
+            "exitCode":integer,
+            "message":string,
+            "timestamp":integer
+        }
+
+        NB: {code} is a stable identifier of the error (see ERROR_CODES) & {exitCode} is the exit code of the controller.
+            Unless client was authenticated, {message} depends on --error-details (generic message by default) and
+            no event is sent if --error-details is {none}
+
+        Example
+
+        {
+            "event":"error",
+            "code":"TASK_NOT_FOUND",
+            "exitCode":3,
+            "message":"Task does not exist",
+            "timestamp":1616147036940
+        }
+
+    Every event contains a {seq} property (sequence number, starting from 1) and an {elapsed} property (number of ms
+    since controller started). They are not displayed in the examples below
+
+        NB: when following a detached run, events of the run are renumbered (so that {seq} keeps increasing) but
+            they keep the {timestamp} & {elapsed} defined by the supervisor (ie: {elapsed} is relative to the start of the run)
+
+    Whenever a child process is started, a json event will be printed to stdout
+
+        {
+            "event":"start",
+            "runId":string,
+            "pid":integer,
+            "argv":string[],
+            "timeout":integer,
+            "index":integer,
+            "timestamp":integer
+        }
+
+        NB: {argv} is the command line executed (secret parameters are redacted)
+            {timeout} property will only be defined if a timeout applies to the child process
+            {index} property will only be defined if {steps} are used
+
+    When {heartbeatInterval} is defined, a json event will be printed to stdout every {heartbeatInterval} seconds
+
+        {
+            "event":"heartbeat",
+            "timestamp":integer
+        }
+
     Whenever content is received from child process on stdout, a json event will be printed to stdout
         
         {
@@ -101,6 +487,51 @@ import { version } from 'ext/version.js';
             "timestamp":1616147036940
         }
 
+    When {outputFormat} is {jsonl}, {data} will contain the parsed json and an extra {parseError} property will be set to {true}
+    if line was not a valid json
+
+        Example
+
+        {
+            "event":"stdout",
+            "data":{"count":3},
+            "timestamp":1616147036940
+        }
+
+    When {encoding} is {base64} or {hex}, {data} will contain the encoded chunk and an extra {bytes} property will contain
+    the number of bytes in the chunk. The exit event will also contain a {bytes} property with the total number of bytes
+    received on stdout
+
+        Example
+
+        {
+            "event":"stdout",
+            "data":"H4sIAAAAAAAAA+3OMQ6CQBCF4T3K3GCcYWfhPCQ2FhYWNhYe3kW0sTCxIcT4f82bl0zxJm",
+            "bytes":54,
+            "timestamp":1616147036940
+        }
+
+    When {batchInterval} or {batchMaxLines} is defined, consecutive contents received on the same output will be grouped
+    in a single event, with a {lines} property instead of {data} (pending output is always sent before any other event)
+
+        Example
+
+        {
+            "event":"stdout",
+            "lines":["line 1","line 2"],
+            "timestamp":1616147036940
+        }
+
+    When {maxRate} is reached, content will be dropped until the end of the current second. A json event with the number
+    of dropped contents will then be printed to stdout
+
+        {
+            "event":"dropped",
+            "stdout":integer,
+            "stderr":integer,
+            "timestamp":integer
+        }
+
     Whenever content is received from child process on stderr, a json event will be printed to stdout if {forwardStderr} is {true}
 
         {
@@ -126,7 +557,14 @@ import { version } from 'ext/version.js';
             "state":{
                 "exitCode":integer,
                 "didTimeout":boolean,
-                "signal":string
+                "signal":string,
+                "truncated":boolean,
+                "limit":string,
+                "killedBy":string,
+                "duration":integer,
+                "stdout":{"bytes":integer, "lines":integer},
+                "stderr":{"bytes":integer, "lines":integer},
+                "rusage":{"userTime":integer, "systemTime":integer}
             },
             "timestamp":integer
         }
@@ -137,6 +575,17 @@ import { version } from 'ext/version.js';
 
               - child process timed out
               - ws connection was closed by client before the end of child process
+              - output limit was reached and {onOutputLimit} is {kill}
+
+        NB: {truncated} property will only be defined if an output limit was defined
+
+        NB: {killedBy} property will only be defined if controller asked child process to terminate
+            (one of timeout, idleTimeout, client or outputLimit)
+            {didTimeout} will be {true} if child process was killed after {timeout} or {idleTimeout}
+
+        NB: {duration} is the number of ms spent executing the task, {stdout} & {stderr} contain the number of bytes & lines
+            received from child processes and {rusage} contains the cpu time (in ms) used by child processes
+            ({rusage} property will only be defined if /proc/self/stat is available)
 
         Example
 
@@ -144,11 +593,69 @@ import { version } from 'ext/version.js';
             "event":"exit",
             "state":{
                 "exitCode":0,
-                "didTimeout":false
+                "didTimeout":false,
+                "duration":1250,
+                "stdout":{"bytes":52, "lines":4},
+                "stderr":{"bytes":0, "lines":0},
+                "rusage":{"userTime":30, "systemTime":10}
             },
             "timestamp":1616147036940
         }
 
+    When output limit is reached, a json event will be printed to stdout
+
+        {
+            "event":"outputLimit",
+            "action":string,
+            "maxOutputBytes":integer,
+            "maxOutputLines":integer,
+            "timestamp":integer
+        }
+
+    When controller asks child process to terminate, a json event will be printed to stdout for each signal sent
+
+        {
+            "event":"terminating",
+            "reason":string,
+            "signal":string,
+            "gracePeriod":integer,
+            "timestamp":integer
+        }
+
+        NB: {gracePeriod} property will only be defined if {killGracePeriod} is defined
+
+    When {detachable} is {true}, a json event will be printed to stdout once supervisor was started
+
+        {
+            "event":"started",
+            "runId":string,
+            "timestamp":integer
+        }
+
+    When {steps} are used, a json event will be printed to stdout before and after each step
+
+        {
+            "event":"stepStart",
+            "index":integer,
+            "name":string,
+            "timestamp":integer
+        }
+
+        {
+            "event":"stepExit",
+            "index":integer,
+            "name":string,
+            "state":{
+                "exitCode":integer,
+                "didTimeout":boolean,
+                "signal":string
+            },
+            "timestamp":integer
+        }
+
+        NB: {state} of the final exit event will contain an extra {steps} property with the state of each executed step.
+            Its {exitCode} will be the one of the last executed step (or 0 if this step failed but had {continueOnError} set to {true})
+
  */
 
 const VERSION = '0.3.0';
@@ -171,29 +678,177 @@ const TASK_OPTIONAL_PROPERTIES = {
     redirectStderr:{type:'boolean', default:false},
     forwardStderr:{type:'boolean', default:false},
     timeout:{type:'integer', min:1},
+    idleTimeout:{type:'integer', min:1},
+    killSignal:{type:'string', default:'SIGTERM', values:['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGQUIT', 'SIGUSR1', 'SIGUSR2', 'SIGKILL']},
+    killGracePeriod:{type:'integer', min:1},
     oneShot:{type:'boolean', default:true},
+    maxRuns:{type:'integer', min:1},
     forwardStdin:{type:'boolean', default:true},
+    substitution:{type:'object', default:{}},
+    requireToken:{type:'boolean', default:false},
+    maxAuthFailures:{type:'integer', min:1},
+    authFailureWindow:{type:'integer', min:1},
+    lockoutDuration:{type:'integer', min:1},
+    trustProxyHeader:{type:'boolean'},
+    maxConcurrent:{type:'integer', min:1},
+    lockGroup:{type:'string', minLen:1},
+    onBusy:{type:'string', default:'reject', values:['reject', 'wait']},
+    detachable:{type:'boolean', default:false},
+    outputFormat:{type:'string', default:'text', values:['text', 'jsonl']},
+    encoding:{type:'string', default:'utf8', values:['utf8', 'base64', 'hex']},
+    user:{type:'string', minLen:1},
+    group:{type:'string', minLen:1},
+    heartbeatInterval:{type:'integer', min:1},
+    batchInterval:{type:'integer', min:1},
+    batchMaxLines:{type:'integer', min:1},
+    maxRate:{type:'integer', min:1},
+    maxOutputBytes:{type:'integer', min:1},
+    maxOutputLines:{type:'integer', min:1},
+    onOutputLimit:{type:'string', default:'truncate', values:['truncate', 'kill']},
+    eventKey:{type:'string', minLen:1},
+    stdinProtocol:{type:'string', default:'raw', values:['raw', 'json']},
     env:{type:'object', default:{}}
 };
 
+/*
+    Identifier of the json file containing default values for all tasks
+ */
+const DEFAULTS_TASK_ID = '_defaults';
+
+/*
+    List of properties in json task which are always checked
+ */
+const TASK_SPECIAL_PROPERTIES = ['cmdLine', 'steps', 'passwords', 'params', 'allowedOrigins', 'allowedAddresses', 'deniedAddresses', 'trustedProxies', 'parsers', 'limits', 'groups'];
+
+/*
+    List of supported types for task parameters
+ */
+const PARAM_TYPES = ['string', 'integer', 'boolean', 'enum'];
+
+/*
+    List of supported properties for the definition of a task parameter
+ */
+const PARAM_PROPERTIES = ['type', 'required', 'default', 'regex', 'min', 'max', 'values', 'secret'];
+
+/*
+    List of supported types for the fields of output parsers
+ */
+const PARSER_FIELD_TYPES = ['string', 'integer', 'float', 'boolean'];
+
+/*
+    List of events which cannot be emitted by output parsers
+ */
+const RESERVED_EVENTS = ['stdout', 'stderr', 'exit', 'busy', 'queued', 'started', 'stepStart', 'stepExit', 'dropped', 'outputLimit', 'terminating', 'start', 'heartbeat', 'error'];
+
+/*
+    Properties added to every event (they cannot be used as fields by output parsers)
+ */
+const RESERVED_FIELDS = ['event', 'timestamp', 'seq', 'elapsed'];
+
+/*
+    Interval (in ms) used to send batched output when only {batchMaxLines} is defined
+ */
+const DEFAULT_BATCH_INTERVAL = 100;
+
+/*
+    List of supported modes when replacing variables in command line
+ */
+const SUBSTITUTION_MODES = ['quoted', 'raw', 'env'];
+
+/*
+    Value used to hide secrets in audit log
+ */
+const REDACTED = '***';
+
+/*
+    Signals which can be sent to child process using json stdin protocol
+ */
+const CLIENT_SIGNALS = {
+    SIGHUP:1,
+    SIGINT:os.SIGINT,
+    SIGQUIT:os.SIGQUIT,
+    SIGKILL:9,
+    SIGUSR1:os.SIGUSR1,
+    SIGUSR2:os.SIGUSR2,
+    SIGTERM:os.SIGTERM,
+    SIGCONT:os.SIGCONT,
+    SIGSTOP:os.SIGSTOP,
+    SIGTSTP:os.SIGTSTP
+};
+
+/*
+    Signals which can be reported in the state of a process
+ */
+const SIGNAL_NAMES = Object.assign({}, CLIENT_SIGNALS, {
+    SIGABRT:os.SIGABRT,
+    SIGALRM:os.SIGALRM,
+    SIGFPE:os.SIGFPE,
+    SIGILL:os.SIGILL,
+    SIGPIPE:os.SIGPIPE,
+    SIGSEGV:os.SIGSEGV,
+    SIGXCPU:24,
+    SIGXFSZ:25
+});
+
+/*
+    Supported resource limits
+    - prlimit : name of the prlimit option
+    - signal : signal received by the process when limit is exceeded
+    - min & max : accepted values
+ */
+const LIMITS = {
+    cpu:{prlimit:'cpu', signal:SIGNAL_NAMES.SIGXCPU, min:1},
+    memory:{prlimit:'as', min:1},
+    fileSize:{prlimit:'fsize', signal:SIGNAL_NAMES.SIGXFSZ, min:1},
+    openFiles:{prlimit:'nofile', min:1},
+    processes:{prlimit:'nproc', min:1},
+    nice:{min:-20, max:19}
+};
+
 const myDir = path.getScriptDir();
 const mySelf = path.getScriptName(true);
 
 const getUsage = () => {
     const message = `
-Usage: PATH_INFO=/xxxx ${mySelf} [-h|--help] [-c|--ctx-dir] [-s|--same-origin] [--strict] [--dry-run]
+Usage: PATH_INFO=/xxxx ${mySelf} [-h|--help] [-c|--ctx-dir] [--state-dir] [-s|--same-origin] [--allowed-origin] [--allowed-origins-file] [--strict] [--dry-run] [--token-secret-file] [--audit-log] [--max-output-bytes] [--max-output-lines] [--error-details] [--max-auth-failures] [--auth-failure-window] [--lockout-duration] [--allowed-address] [--denied-address] [--trust-proxy-header] [--trusted-proxy] [--run-retention]
     -c, --ctx-dir (*):       directory containing json context files
+    --state-dir:             directory where state files (locks...) will be stored
+                             (default = context directory)
     -s, --same-origin:       enforce same origin policy
                              If set, ws connection can only be opened from a page
                              running on same server. Requires below environment
                              variables (set by websocketd)
                                - SERVER_NAME
                                - HTTP_ORIGIN
+    --allowed-origin:        origin allowed to open a ws connection (can be repeated)
+                             Format is [scheme://]host[:port] and host can start
+                             with '*.' to allow any subdomain (ex: https://*.example.lan)
+    --allowed-origins-file:  file containing allowed origins (one per line)
     --strict:                return an error if json task contains an unknown or invalid property
     --dry-run:               only output a json representation of what would be executed
                              without executing the command
     --no-new-session:        by default, task will be run in a new session by calling setsid.
                              Use this flag if setsid is not available
+    --token-secret-file:     file containing the secret used to verify access tokens
+                             (provided using '_token' query parameter)
+    --audit-log:             file where a json entry will be appended for each connection
+    --max-output-bytes:      default value for {maxOutputBytes} task property
+    --max-output-lines:      default value for {maxOutputLines} task property
+    --error-details:         details of the error events sent to unauthenticated clients (default = code)
+                               - none : no error event
+                               - code : error code & generic message
+                               - full : error code & message printed on stderr
+    --max-auth-failures:     default value for {maxAuthFailures} task property
+    --auth-failure-window:   default value for {authFailureWindow} task property
+    --lockout-duration:      default value for {lockoutDuration} task property
+    --allowed-address:       address or CIDR range allowed to access tasks (can be repeated)
+                             Used for tasks without {allowedAddresses} property
+    --denied-address:        address or CIDR range not allowed to access tasks (can be repeated)
+                             Used for tasks without {deniedAddresses} property
+    --trust-proxy-header:    default value for {trustProxyHeader} task property
+    --trusted-proxy:         address or CIDR range of a reverse proxy allowed to set X-Forwarded-For header (can be repeated)
+                             Used for tasks without {trustedProxies} property
+    --run-retention:         number of seconds finished detached runs are kept (default = 604800)
     -h, --help:              print help
 `.trim();
     return message;
@@ -215,536 +870,4276 @@ Version ${VERSION}
     return `${message}\n${getUsage()}`;
 }
 
-let args;
-try {
-    args = arg({
-        '--ctx-dir': (v, n, p) => {
-            let value = v.trim();
-            if ('' == value) {
-                value = '.';
-            }
-            while (value.endsWith('/')) {
-                value = value.slice(0, -1);
-            }
-            if (0 !== os.stat(value)[1]) {
-                const err = new Error(`Invalid option value: ${n} (${v}) (directory does not exist)`);
-                err.code = 'ARG_INVALID_OPTION';
-                throw err;
-            }
-            return value;
-        },
-        '--help': Boolean,
-        '--same-origin': Boolean,
-        '--strict': Boolean,
-        '--dry-run': Boolean,
-        '--no-new-session': Boolean,
-        // aliases
-        '-c': '--ctx-dir',
-        '-s': '--same-origin',
-    	'-h': '--help'
-    });
-}
-catch (e) {
-    switch (e.code) {
-        case 'ARG_UNKNOWN_OPTION':
-        case 'ARG_INVALID_OPTION':
-        case 'ARG_MISSING_REQUIRED_SHORTARG':
-        case 'ARG_MISSING_REQUIRED_LONGARG':
-            std.err.printf(`${e.message.trim()}\n`);
-            std.err.printf(`${getUsage()}\n`);
-            std.exit(2);
+/**
+ * Parse an IPv4 address
+ *
+ * @param {string} str
+ *
+ * @return {integer[]|undefined} 4 bytes (undefined if address is invalid)
+ */
+const parseIPv4 = (str) => {
+    const matches = str.match(/^([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})\.([0-9]{1,3})$/);
+    if (null === matches) {
+        return undefined;
     }
-    throw e;
-}
-if (args['--help']) {
-    std.err.printf(`${getHelp()}\n`);
-    std.exit(2);
-}
-// ensure all required arguments were provided
-['--ctx-dir'].forEach((n) => {
-    if (undefined === args[n]) {
-        std.err.printf(`Option ${n} is required\n`);
-        std.err.printf(`${getUsage()}\n`);
-        std.exit(2);
+    const bytes = matches.slice(1).map(e => parseInt(e));
+    if (undefined !== bytes.find(b => b > 255)) {
+        return undefined;
     }
-});
+    return bytes;
+}
 
-// same origin policy
-if (args['--same-origin']) {
-    /*
-        compare hosts in HTTP_ORIGIN & SERVER_NAME
-     */
-    const serverNameVar = std.getenv('SERVER_NAME');
-    const httpOriginVar = std.getenv('HTTP_ORIGIN');
-    let serverName, httpOrigin;
-    if (undefined !== serverNameVar) {
-        if (/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)?$/.test(serverNameVar)) {
-            serverName = serverNameVar;
-        }
+/**
+ * Parse an IPv6 address
+ *
+ * @param {string} str
+ *
+ * @return {integer[]|undefined} 8 groups of 16 bits (undefined if address is invalid)
+ */
+const parseIPv6 = (str) => {
+    // ignore zone index
+    const pos = str.indexOf('%');
+    if (-1 != pos) {
+        str = str.substring(0, pos);
     }
-    if (undefined !== httpOriginVar) {
-        const matches = httpOriginVar.match(/^https?:\/\/((?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)?)(:[0-9]+)?$/);
-        if (null !== matches) {
-            httpOrigin =  matches[1];
+    const parseGroups = (s) => {
+        const groups = [];
+        if ('' === s) {
+            return groups;
+        }
+        const arr = s.split(':');
+        for (let i = 0; i < arr.length; ++i) {
+            // embedded IPv4 address
+            if (i == arr.length - 1 && arr[i].includes('.')) {
+                const bytes = parseIPv4(arr[i]);
+                if (undefined === bytes) {
+                    return undefined;
+                }
+                groups.push((bytes[0] << 8) | bytes[1], (bytes[2] << 8) | bytes[3]);
+                continue;
+            }
+            if (!/^[0-9a-fA-F]{1,4}$/.test(arr[i])) {
+                return undefined;
+            }
+            groups.push(parseInt(arr[i], 16));
         }
+        return groups;
     }
-    if (undefined === serverNameVar) {
-        std.err.printf(`Environment variable 'SERVER_NAME' is missing or invalid\n`);
-        std.err.printf(`${getUsage()}\n`);
-        std.exit(5);
-    }
-    if (undefined === httpOrigin) {
-        std.err.printf(`Environment variable 'HTTP_ORIGIN' is missing or invalid\n`);
-        std.err.printf(`${getUsage()}\n`);
-        std.exit(5);
+    const parts = str.split('::');
+    if (parts.length > 2) {
+        return undefined;
     }
-    if (serverName != httpOrigin) {
-        std.err.printf((`Same origin policy mismatch : '${serverName}' != '${httpOrigin}'\n`));
-        std.exit(5);
+    const head = parseGroups(parts[0]);
+    const tail = (2 == parts.length) ? parseGroups(parts[1]) : [];
+    if (undefined === head || undefined === tail) {
+        return undefined;
     }
-}
-
-// Ensure {task_id} has been provided through environment variable 'PATH_INFO'
-let taskId;
-let pathInfo = std.getenv('PATH_INFO');
-if (undefined !== pathInfo) {
-    // remove leading '/'
-    if (pathInfo.startsWith('/')) {
-        pathInfo = pathInfo.substr(1);
+    if (1 == parts.length) {
+        return (8 == head.length) ? head : undefined;
     }
-    const parts = pathInfo.split('/');
-    const firstPart = parts[0].trim();
-    if ('' != firstPart && '.' != firstPart && '..' != firstPart) {
-        taskId = firstPart;
+    const missing = 8 - head.length - tail.length;
+    if (missing < 1) {
+        return undefined;
     }
+    return head.concat(new Array(missing).fill(0), tail);
 }
-if (undefined === taskId) {
-    std.err.printf(`Environment variable 'PATH_INFO' is missing or invalid\n`);
-    std.exit(3);
-}
-
-/*
-    Parse query string
- */
-let password = '';
-let queryParams = {};
-const qsVar = std.getenv('QUERY_STRING');
-if (undefined !== qsVar && '' !== qsVar) {
-    const arr = qsVar.split('&');
-    arr.forEach((str, i) => {
-        // find '='
-        const pos = str.indexOf('=');
-        if (-1 == pos) {
-            return;
-        }
-        const key = str.substring(0, pos);
-        const value = decodeURIComponent(str.substring(pos + 1));
-        if ('_password' === key) {
-            password = value;
-            return;            
-        }
-        const varName = `QS_${key}`;
-        queryParams[varName] = value;
-    });
-}
-// unset _password environment variables
-std.unsetenv('_password');
-std.unsetenv('QS__password');
 
 /**
- * Retrieve the value of a variable from 
- * 
- * @param {string} varName 
- * 
- * @return {string} variable value
+ * Parse an IPv4 or IPv6 address (IPv4-mapped IPv6 addresses are converted to IPv4)
+ *
+ * @param {string} str
+ *
+ * @return {integer[]|undefined} 4 or 16 bytes (undefined if address is invalid)
  */
-const getVar = (varName) => {
-    if (undefined !== queryParams[varName]) {
-        return queryParams[varName];
+const parseIPAddress = (str) => {
+    str = str.trim();
+    // remove brackets
+    if (str.startsWith('[') && str.endsWith(']')) {
+        str = str.slice(1, -1);
     }
-    let value = std.getenv(varName);
-    if (undefined === value) {
-        value = '';
+    const bytes = parseIPv4(str);
+    if (undefined !== bytes) {
+        return bytes;
     }
-    return value;
+    const groups = parseIPv6(str);
+    if (undefined === groups) {
+        return undefined;
+    }
+    // ::ffff:a.b.c.d
+    if (0xffff == groups[5] && undefined === groups.slice(0, 5).find(g => 0 != g)) {
+        return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+    }
+    return [].concat(...groups.map(g => [g >> 8, g & 0xff]));
 }
 
 /**
- * Replace a variable in a command line
- * 
- * @param {string} cmdLine command line
- * @param {string} varName variable name
- * @param {string} varValue variable value
- * @param {boolean} enquote whether or not value should be enclosed with double quotes
- * 
- * @return {string}
+ * Parse an address pattern (address or CIDR range such as 10.0.0.0/8 or fd00::/8)
+ *
+ * @param {string} str
+ *
+ * @return {object|undefined} {bytes:integer[], prefix:integer} (undefined if pattern is invalid)
  */
-const replaceVarInCmdLine = (cmdLine, varName, varValue, enquote) => {
-    let newCmdLine;
-    // enclose in double quotes
-    if (enquote) {
-        varValue = varValue.replaceAll('"', '\\"');
-        newCmdLine = cmdLine.replaceAll(`%${varName}%`, `"${varValue}"`);
+const parseAddressPattern = (str) => {
+    let prefix;
+    const pos = str.indexOf('/');
+    if (-1 != pos) {
+        prefix = str.substring(pos + 1).trim();
+        if (!/^[0-9]{1,3}$/.test(prefix)) {
+            return undefined;
+        }
+        prefix = parseInt(prefix);
+        str = str.substring(0, pos);
     }
-    else {
-        newCmdLine = cmdLine.replaceAll(`%${varName}%`, varValue);
+    const bytes = parseIPAddress(str);
+    if (undefined === bytes) {
+        return undefined;
+    }
+    if (undefined === prefix) {
+        prefix = bytes.length * 8;
+    }
+    if (prefix > bytes.length * 8) {
+        return undefined;
     }
-    return newCmdLine;
+    return {bytes:bytes, prefix:prefix};
 }
 
 /**
- * Parse a command line into an array of arguments
+ * Check whether or not an address matches a pattern
  *
- * @param {string} command line
+ * @param {integer[]} bytes address returned by parseIPAddress
+ * @param {object} pattern pattern returned by parseAddressPattern
  *
- * @return {string[} arguments
+ * @return {boolean}
  */
-const parseArgs = (command) => {
-    // NB: regexp will fail in case an orphan quote or double quote exists
-    const args = command.match(/[^"' \t]+|["'](?:\\["']|[^"'])*['"]/g);
-    return args.map((e) => {
-        // remove enclosing double quotes
-        if (e.startsWith('"') && e.endsWith('"')) {
-            return e.slice(1, -1);
-        }
-        // remove enclosing single quotes
-        if (e.startsWith("'") && e.endsWith("'")) {
-            return e.slice(1, -1);
+const matchAddress = (bytes, pattern) => {
+    // IPv4 addresses never match IPv6 patterns
+    if (bytes.length != pattern.bytes.length) {
+        return false;
+    }
+    let bits = pattern.prefix;
+    for (let i = 0; bits > 0; ++i, bits -= 8) {
+        const mask = (bits >= 8) ? 0xff : (0xff << (8 - bits)) & 0xff;
+        if ((bytes[i] & mask) != (pattern.bytes[i] & mask)) {
+            return false;
         }
-        return e;
-    });
+    }
+    return true;
 }
 
 /**
- * Parse JSON file
- * 
- * @return {object} task object (an exception will be thrown in case of error)
+ * Normalize a host name or an ip address so that it can be compared
+ *
+ * @param {string} host (IPv6 addresses can be enclosed with brackets)
+ *
+ * @return {string|undefined} undefined if host is invalid
  */
-const getCtx = () => {
-    const filename = `${taskId}.json`;
-    const file = `${args['--ctx-dir']}/${filename}`;
-    let ctx;
-    if (0 !== os.stat(file)[1]) {
-        const msg = `File '${filename}' does not exist in context directory`;
-        const err = new Error(msg);
-        err.missingFileOrInvalidJson = true;
-        throw err;
-    }
-    const str = std.loadFile(file);
-    if (null === str) {
-        const msg = `File '${filename}' does not exist in context directory`;
-        const err = new Error(msg);
-        err.missingFileOrInvalidJson = true;
-        throw err;
+const normalizeHost = (host) => {
+    host = host.trim().toLowerCase();
+    if (host.startsWith('[') && host.endsWith(']')) {
+        host = host.slice(1, -1);
     }
-    try {
-        ctx = std.parseExtJSON(str);
+    if (host.includes(':')) {
+        const groups = parseIPv6(host);
+        if (undefined === groups) {
+            return undefined;
+        }
+        return groups.map(g => g.toString(16)).join(':');
     }
-    catch (e) {
-        const msg = `File '${filename}' is not a valid json file`;
-        const err = new Error(msg);
-        err.missingFileOrInvalidJson = true;
-        throw err;
+    if (host.endsWith('.')) {
+        host = host.slice(0, -1);
     }
-    let missingCmdLine = false;
-    if (undefined === ctx.cmdLine) {
-        missingCmdLine = true;
+    if (!/^[a-z0-9_](?:[a-z0-9_-]*[a-z0-9_])?(?:\.[a-z0-9_](?:[a-z0-9_-]*[a-z0-9_])?)*$/.test(host)) {
+        return undefined;
     }
-    else {
-        // single line
-        if ('string' == typeof ctx.cmdLine) {
-            if ('' === ctx.cmdLine) {
-                missingCmdLine = true;
-            }
-            else {
-                ctx.cmdLine = parseArgs(ctx.cmdLine);
-            }
-        }
-        // exec-like array
-        else if (Array.isArray(ctx.cmdLine)) {
-            if (0 == ctx.cmdLine.length) {
-                missingCmdLine = true;
-            }
+    return host;
+}
+
+/**
+ * Encode a string using utf-8
+ *
+ * @param {string} str
+ *
+ * @return {Uint8Array}
+ */
+const utf8Encode = (str) => {
+    const bytes = [];
+    for (const c of str) {
+        const codePoint = c.codePointAt(0);
+        if (codePoint < 0x80) {
+            bytes.push(codePoint);
         }
-    }
-    if (undefined !== ctx.passwords) {
-        // single password
-        if ('string' == typeof ctx.passwords) {
-            if ('' === ctx.passwords) {
-                const msg = `Invalid value found for property 'passwords' in file '${filename}' (string cannot be empty)`;
-                const err = new Error(msg);
-                throw err;
-            }
-            ctx.passwords = [ctx.passwords];
+        else if (codePoint < 0x800) {
+            bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
         }
-        else if (Array.isArray(ctx.passwords)) {
-            if (0 == ctx.passwords.length) {
-                const msg = `Invalid value found for property 'passwords' in file '${filename}' (array cannot be empty)`;
-                const err = new Error(msg);
-                throw err;
-            }
-            for (let i = 0; i < ctx.passwords.length; ++i) {
-                if ('string' !== typeof ctx.passwords[i]) {
-                    const msg = `Invalid value found at position ${i} for property 'passwords' in file '${filename}' (should be a string)`;
-                    const err = new Error(msg);
-                    throw err;
-                }
-                if ('' === ctx.passwords[i]) {
-                    const msg = `Invalid value found at position ${i} for property 'passwords' in file '${filename}' (string cannot be empty)`;
-                    const err = new Error(msg);
-                    throw err;
-                }
-            }
+        else if (codePoint < 0x10000) {
+            bytes.push(0xe0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
         }
         else {
-            const msg = `Invalid type found for property 'passwords' in file '${filename}' (should be a string|string[])`;
-            const err = new Error(msg);
-            throw err;
-        }
-    }
-    if (missingCmdLine) {
-        const msg = `Missing 'cmdLine' in file '${filename}'`;
-        const err = new Error(msg);
-        throw err;
-    }
-    // find %xx% variables
-    for (let i = 0; i < ctx.cmdLine.length; ++i) {
-        const matches = ctx.cmdLine[i].matchAll(/%([a-zA-Z_0-9.]+)%/g);
-        for (const m of matches) {
-            const varName = m[1];
-            let varValue = getVar(varName);
-            if (undefined === varValue) {
-                varValue = '';
-            }
-            ctx.cmdLine[i] = replaceVarInCmdLine(ctx.cmdLine[i], varName, varValue, true === ctx.useShell);
+            bytes.push(0xf0 | (codePoint >> 18), 0x80 | ((codePoint >> 12) & 0x3f), 0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
         }
     }
-    // check all optional tasks
-    if (args['--strict']) {
-        for (const [key, value] of Object.entries(ctx)) {
-            if ('cmdLine' == key || 'passwords' == key) {
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Create a streaming utf-8 decoder
+ *
+ * - invalid sequences are replaced with U+FFFD
+ * - an incomplete sequence at the end of a chunk is kept until next chunk (unless {flush} is {true})
+ *
+ * @return {function} (bytes:number[]|Uint8Array, flush:boolean) => string
+ */
+const createUtf8Decoder = () => {
+    let pending = [];
+    return (bytes, flush) => {
+        const input = (0 == pending.length) ? bytes : [...pending, ...bytes];
+        pending = [];
+        let str = '';
+        let i = 0;
+        while (i < input.length) {
+            const b = input[i];
+            if (b < 0x80) {
+                str += String.fromCharCode(b);
+                ++i;
                 continue;
             }
-            // unknown property
-            if (undefined === TASK_OPTIONAL_PROPERTIES[key]) {
-                const msg = `Unknown '${key}' property in file '${filename}'`;
-                const err = new Error(msg);
-                throw err;
+            // number of continuation bytes & valid range of the first one (to reject overlong & surrogate sequences)
+            let count, lower = 0x80, upper = 0xbf;
+            if (b >= 0xc2 && b <= 0xdf) {
+                count = 1;
             }
-            // string
-            if ('string' == TASK_OPTIONAL_PROPERTIES[key].type) {
-                if ('string' != typeof value) {
-                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
-                    const err = new Error(msg);
-                    throw err;
+            else if (b >= 0xe0 && b <= 0xef) {
+                count = 2;
+                if (0xe0 == b) {
+                    lower = 0xa0;
                 }
-                if (undefined !== TASK_OPTIONAL_PROPERTIES[key].minLen) {
-                    if (value.length < TASK_OPTIONAL_PROPERTIES[key].minLen) {
-                        const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (length should be >= ${TASK_OPTIONAL_PROPERTIES[key].minLen})`
-                        const err = new Error(msg);
-                        throw err;
-                    }
+                else if (0xed == b) {
+                    upper = 0x9f;
                 }
             }
-            // integer
-            else if ('integer' == TASK_OPTIONAL_PROPERTIES[key].type) {
-                if ('number' != typeof value) {
-                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
-                    const err = new Error(msg);
-                    throw err;
-                }
-                const intValue = parseInt(value);
-                if (isNaN(intValue)) {
-                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
-                    const err = new Error(msg);
-                    throw err;
-                }
-                if (undefined !== TASK_OPTIONAL_PROPERTIES[key].min) {
-                    if (intValue < TASK_OPTIONAL_PROPERTIES[key].min) {
-                        const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be >= ${TASK_OPTIONAL_PROPERTIES[key].min})`
-                        const err = new Error(msg);
-                        throw err;
-                    }
+            else if (b >= 0xf0 && b <= 0xf4) {
+                count = 3;
+                if (0xf0 == b) {
+                    lower = 0x90;
                 }
-                ctx[key] = intValue;
-            }
-            // boolean
-            else if ('boolean' == TASK_OPTIONAL_PROPERTIES[key].type) {
-                if ('boolean' != typeof value) {
-                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
-                    const err = new Error(msg);
-                    throw err;
+                else if (0xf4 == b) {
+                    upper = 0x8f;
                 }
             }
-            // object
             else {
-                if ('object' != typeof value) {
-                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
-                    const err = new Error(msg);
-                    throw err;
+                str += '\ufffd';
+                ++i;
+                continue;
+            }
+            let codePoint = b & (0x3f >> count);
+            let j = 1;
+            for (; j <= count && i + j < input.length; ++j) {
+                const c = input[i + j];
+                if (c < lower || c > upper) {
+                    break;
                 }
+                codePoint = (codePoint << 6) | (c & 0x3f);
+                lower = 0x80;
+                upper = 0xbf;
             }
+            if (j > count) {
+                str += String.fromCodePoint(codePoint);
+                i += j;
+                continue;
+            }
+            // sequence is incomplete
+            if (i + j == input.length && !flush) {
+                pending = Array.from(input.slice(i));
+                break;
+            }
+            // invalid byte is not consumed so that it can start a new sequence
+            str += '\ufffd';
+            i += j;
         }
-    }
-    // define optional values
-    for (const [key, obj] of Object.entries(TASK_OPTIONAL_PROPERTIES)) {
-        if (undefined === ctx[key] && undefined !== obj.default) {
-            ctx[key] = obj.default;
-        }
-    }
-
-    // remove file
-    if (false !== ctx.oneShot) {
-        os.remove(file);
-    }
-    return ctx;
+        return str;
+    };
 }
 
-let ctx;
-try {
-    ctx = getCtx();
+/**
+ * Decode an utf-8 byte sequence (invalid sequences are replaced with U+FFFD)
+ *
+ * @param {number[]|Uint8Array} bytes
+ *
+ * @return {string}
+ */
+const utf8Decode = (bytes) => {
+    return createUtf8Decoder()(bytes, true);
 }
-catch (e) {
-    std.err.printf(`${e.message}\n`);
-    let exitCode = 4;
-    if (true === e.missingFileOrInvalidJson) {
+
+/*
+    Default port for each scheme
+ */
+const DEFAULT_PORTS = {http:80, https:443, ws:80, wss:443};
+
+/**
+ * Parse an origin (ex: https://tools.example.lan:8443)
+ *
+ * @param {string} str
+ *
+ * @return {object|undefined} {scheme:string, host:string, port:integer} (undefined if origin is invalid)
+ */
+const parseOrigin = (str) => {
+    const matches = str.trim().match(/^([a-zA-Z][a-zA-Z0-9+.-]*):\/\/(\[[^\]]+\]|[^\/:\[\]]+)(?::([0-9]+))?\/?$/);
+    if (null === matches) {
+        return undefined;
+    }
+    const host = normalizeHost(matches[2]);
+    if (undefined === host) {
+        return undefined;
+    }
+    const scheme = matches[1].toLowerCase();
+    const port = (undefined !== matches[3]) ? parseInt(matches[3]) : DEFAULT_PORTS[scheme];
+    return {scheme, host, port};
+}
+
+/**
+ * Parse an allowed origin pattern
+ *
+ * A pattern has the format [scheme://]host[:port] and host can start with '*.' to match any subdomain
+ * When scheme is defined but port is not, default port of the scheme is used
+ *
+ * @param {string} str
+ *
+ * @return {object|undefined} {scheme:string|undefined, wildcard:boolean, host:string, port:integer|undefined} (undefined if pattern is invalid)
+ */
+const parseOriginPattern = (str) => {
+    const matches = str.trim().match(/^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\*\.)?(\[[^\]]+\]|[^\/:\[\]]+)(?::([0-9]+))?\/?$/);
+    if (null === matches) {
+        return undefined;
+    }
+    const host = normalizeHost(matches[3]);
+    if (undefined === host) {
+        return undefined;
+    }
+    const scheme = (undefined !== matches[1]) ? matches[1].toLowerCase() : undefined;
+    let port;
+    if (undefined !== matches[4]) {
+        port = parseInt(matches[4]);
+    }
+    else if (undefined !== scheme) {
+        port = DEFAULT_PORTS[scheme];
+    }
+    return {scheme, wildcard:(undefined !== matches[2]), host, port};
+}
+
+/**
+ * Check whether or not an origin matches an allowed origin pattern
+ *
+ * @param {object} origin value returned by parseOrigin
+ * @param {object} pattern value returned by parseOriginPattern
+ *
+ * @return {boolean}
+ */
+const matchOrigin = (origin, pattern) => {
+    if (undefined !== pattern.scheme && pattern.scheme != origin.scheme) {
+        return false;
+    }
+    if (undefined !== pattern.port && pattern.port != origin.port) {
+        return false;
+    }
+    if (pattern.wildcard) {
+        return origin.host.endsWith(`.${pattern.host}`);
+    }
+    return origin.host == pattern.host;
+}
+
+/**
+ * Parse a command line option which should be an integer >= 1
+ *
+ * @param {string} v value
+ * @param {string} n name of the option
+ *
+ * @return {integer}
+ */
+const parseLimitOption = (v, n) => {
+    const value = parseInt(v);
+    if (isNaN(value) || value < 1 || `${value}` !== v.trim()) {
+        const err = new Error(`Invalid option value: ${n} (${v}) (should be an integer >= 1)`);
+        err.code = 'ARG_INVALID_OPTION';
+        throw err;
+    }
+    return value;
+}
+
+/**
+ * Parse an address option (an exception will be thrown if value is not a valid address or CIDR range)
+ *
+ * @param {string} v value
+ * @param {string} n option name
+ *
+ * @return {string}
+ */
+const parseAddressOption = (v, n) => {
+    const value = v.trim();
+    if (undefined === parseAddressPattern(value)) {
+        const err = new Error(`Invalid option value: ${n} (${v}) (invalid address or CIDR range)`);
+        err.code = 'ARG_INVALID_OPTION';
+        throw err;
+    }
+    return value;
+}
+
+let args;
+try {
+    args = arg({
+        '--ctx-dir': (v, n, p) => {
+            let value = v.trim();
+            if ('' == value) {
+                value = '.';
+            }
+            while (value.endsWith('/')) {
+                value = value.slice(0, -1);
+            }
+            if (0 !== os.stat(value)[1]) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (directory does not exist)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        },
+        '--help': Boolean,
+        '--same-origin': Boolean,
+        '--strict': Boolean,
+        '--dry-run': Boolean,
+        '--no-new-session': Boolean,
+        '--supervise': String,
+        '--audit-log': String,
+        '--max-output-bytes': parseLimitOption,
+        '--max-output-lines': parseLimitOption,
+        '--max-auth-failures': parseLimitOption,
+        '--auth-failure-window': parseLimitOption,
+        '--lockout-duration': parseLimitOption,
+        '--allowed-address': [parseAddressOption],
+        '--denied-address': [parseAddressOption],
+        '--trust-proxy-header': Boolean,
+        '--trusted-proxy': [parseAddressOption],
+        '--run-retention': parseLimitOption,
+        '--error-details': (v, n, p) => {
+            const value = v.trim();
+            if (!['none', 'code', 'full'].includes(value)) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (should be one of none, code or full)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        },
+        '--allowed-origin': [(v, n, p) => {
+            const value = v.trim();
+            if (undefined === parseOriginPattern(value)) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (invalid origin)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        }],
+        '--allowed-origins-file': (v, n, p) => {
+            const value = v.trim();
+            if (0 !== os.stat(value)[1]) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (file does not exist)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        },
+        '--state-dir': (v, n, p) => {
+            let value = v.trim();
+            if ('' == value) {
+                value = '.';
+            }
+            while (value.endsWith('/')) {
+                value = value.slice(0, -1);
+            }
+            if (0 !== os.stat(value)[1]) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (directory does not exist)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        },
+        '--token-secret-file': (v, n, p) => {
+            const value = v.trim();
+            if (0 !== os.stat(value)[1]) {
+                const err = new Error(`Invalid option value: ${n} (${v}) (file does not exist)`);
+                err.code = 'ARG_INVALID_OPTION';
+                throw err;
+            }
+            return value;
+        },
+        // aliases
+        '-c': '--ctx-dir',
+        '-s': '--same-origin',
+    	'-h': '--help'
+    });
+}
+catch (e) {
+    switch (e.code) {
+        case 'ARG_UNKNOWN_OPTION':
+        case 'ARG_INVALID_OPTION':
+        case 'ARG_MISSING_REQUIRED_SHORTARG':
+        case 'ARG_MISSING_REQUIRED_LONGARG':
+            std.err.printf(`${e.message.trim()}\n`);
+            std.err.printf(`${getUsage()}\n`);
+            std.exit(2);
+    }
+    throw e;
+}
+if (args['--help']) {
+    std.err.printf(`${getHelp()}\n`);
+    std.exit(2);
+}
+// ensure all required arguments were provided
+['--ctx-dir'].forEach((n) => {
+    if (undefined === args[n]) {
+        std.err.printf(`Option ${n} is required\n`);
+        std.err.printf(`${getUsage()}\n`);
+        std.exit(2);
+    }
+});
+
+// directory used to store state files (locks...)
+const stateDir = (undefined !== args['--state-dir']) ? args['--state-dir'] : args['--ctx-dir'];
+
+// load secret used to verify tokens
+let tokenSecret;
+if (undefined !== args['--token-secret-file']) {
+    const str = std.loadFile(args['--token-secret-file']);
+    if (null === str || '' === str.trim()) {
+        std.err.printf(`Secret file '${args['--token-secret-file']}' is empty or cannot be read\n`);
+        std.err.printf(`${getUsage()}\n`);
+        std.exit(2);
+    }
+    tokenSecret = str.trim();
+}
+
+// allowed origins defined on command line
+const allowedOrigins = [];
+if (undefined !== args['--allowed-origin']) {
+    args['--allowed-origin'].forEach((str) => {
+        allowedOrigins.push(parseOriginPattern(str));
+    });
+}
+if (undefined !== args['--allowed-origins-file']) {
+    const str = std.loadFile(args['--allowed-origins-file']);
+    if (null === str) {
+        std.err.printf(`File '${args['--allowed-origins-file']}' cannot be read\n`);
+        std.err.printf(`${getUsage()}\n`);
+        std.exit(2);
+    }
+    const lines = str.split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+        const line = lines[i].trim();
+        // ignore empty lines & comments
+        if ('' === line || line.startsWith('#')) {
+            continue;
+        }
+        const pattern = parseOriginPattern(line);
+        if (undefined === pattern) {
+            std.err.printf(`Invalid origin '${line}' found at line ${i + 1} in file '${args['--allowed-origins-file']}'\n`);
+            std.err.printf(`${getUsage()}\n`);
+            std.exit(2);
+        }
+        allowedOrigins.push(pattern);
+    }
+}
+
+/*
+    Audit log (one json entry will be appended for each connection)
+ */
+const audit = {
+    startTime:Date.now(),
+    remoteAddr:std.getenv('REMOTE_ADDR'),
+    remoteHost:std.getenv('REMOTE_HOST'),
+    origin:std.getenv('HTTP_ORIGIN'),
+    pathInfo:std.getenv('PATH_INFO'),
+    bytes:0
+};
+
+/**
+ * Append an entry to the audit log (if --audit-log was defined)
+ *
+ * @param {integer} exitCode exit code of the controller
+ */
+const writeAuditEntry = (exitCode) => {
+    // supervisor of a detached run is audited by the controller which started the run
+    if (undefined === args['--audit-log'] || undefined !== args['--supervise']) {
+        return;
+    }
+    const entry = Object.assign({}, audit, {
+        endTime:Date.now(),
+        controllerExitCode:exitCode
+    });
+    // file is opened in append mode so that entries of concurrent controllers are not overwritten
+    const f = std.open(args['--audit-log'], 'a');
+    if (null === f) {
+        std.err.printf(`Audit log '${args['--audit-log']}' cannot be opened\n`);
+        return;
+    }
+    f.puts(`${JSON.stringify(entry)}\n`);
+    f.close();
+}
+
+/**
+ * Exit controller after appending an entry to the audit log
+ *
+ * @param {integer} exitCode
+ */
+const exit = (exitCode) => {
+    writeAuditEntry(exitCode);
+    std.exit(exitCode);
+}
+
+// sequence number of the last event
+let eventSeq = 0;
+
+// function used to send pending output before exiting with an error (defined once output batching is initialized)
+let flushPendingOutput;
+
+/**
+ * Write an event to stdout
+ *
+ * @param {object} obj event (timestamp, seq & elapsed will be added automatically)
+ */
+const writeEvent = (obj) => {
+    obj.timestamp = Date.now();
+    obj.seq = ++eventSeq;
+    obj.elapsed = obj.timestamp - audit.startTime;
+    const str = `${JSON.stringify(obj)}\n`;
+    std.out.puts(str);
+    std.out.flush();
+    // encoding is only needed for the audit log
+    if (undefined !== args['--audit-log']) {
+        audit.bytes += utf8Encode(str).length;
+    }
+}
+
+/*
+    Generic message of each error code (sent to unauthenticated clients unless --error-details is {full})
+ */
+const ERROR_CODES = {
+    INVALID_ORIGIN:'Origin is missing or invalid',
+    INVALID_SERVER_NAME:'Server name is missing or invalid',
+    ORIGIN_MISMATCH:'Same origin policy mismatch',
+    ORIGIN_NOT_ALLOWED:'Origin is not allowed',
+    ADDRESS_NOT_ALLOWED:'Client address is not allowed',
+    INVALID_PATH:'Task identifier is missing or invalid',
+    TASK_NOT_FOUND:'Task does not exist',
+    INVALID_JSON:'Task definition is not a valid json',
+    INVALID_TASK:'Task definition is invalid',
+    SECRET_NOT_READABLE:'Secret cannot be read',
+    RUN_NOT_FOUND:'Run does not exist',
+    RUN_FAILED:'Run could not be started',
+    RUN_INTERRUPTED:'Run was interrupted',
+    INVALID_TOKEN:'Token is not valid',
+    TOKEN_REQUIRED:'Token is required',
+    INVALID_PASSWORD:'Password is not valid',
+    LOCKED_OUT:'Too many failed attempts',
+    INVALID_PARAMS:'Query parameters are invalid',
+    BUSY:'Maximum number of concurrent executions reached',
+    USER_SWITCH_FAILED:'Task cannot be executed using the requested user or groups',
+    INTERNAL_ERROR:'An unexpected error occurred'
+};
+
+/**
+ * Print an error, send an error event to the client & exit controller after appending an entry to the audit log
+ *
+ * @param {integer} exitCode
+ * @param {string} message error message
+ * @param {string} code error code (one of ERROR_CODES)
+ */
+const exitWithError = (exitCode, message, code) => {
+    std.err.printf(`${message}\n`);
+    audit.error = message;
+    audit.errorCode = code;
+    // batched output must be sent before the error event
+    if (undefined !== flushPendingOutput) {
+        flushPendingOutput();
+    }
+    // details are only sent to clients which were authenticated (supervisor was started by such a client)
+    const isAuthenticated = (undefined !== args['--supervise'] || (undefined !== audit.auth && audit.auth.passed));
+    if (isAuthenticated || 'none' != args['--error-details']) {
+        writeEvent({
+            event:'error',
+            code:code,
+            exitCode:exitCode,
+            message:(isAuthenticated || 'full' == args['--error-details']) ? message : ERROR_CODES[code]
+        });
+    }
+    exit(exitCode);
+}
+
+/**
+ * Retrieve the origin of the request (an error will be printed and controller will exit if it is missing or invalid)
+ *
+ * @return {object} value returned by parseOrigin
+ */
+const getHttpOrigin = () => {
+    const httpOriginVar = std.getenv('HTTP_ORIGIN');
+    let httpOrigin;
+    if (undefined !== httpOriginVar) {
+        httpOrigin = parseOrigin(httpOriginVar);
+    }
+    if (undefined === httpOrigin) {
+        std.err.printf(`${getUsage()}\n`);
+        exitWithError(5, `Environment variable 'HTTP_ORIGIN' is missing or invalid`, 'INVALID_ORIGIN');
+    }
+    return httpOrigin;
+}
+
+/*
+    Same origin policy & allowed origins defined on command line
+ */
+if (args['--same-origin'] || 0 != allowedOrigins.length) {
+    const httpOrigin = getHttpOrigin();
+    let allowed = (undefined !== allowedOrigins.find(pattern => matchOrigin(httpOrigin, pattern)));
+    if (!allowed && args['--same-origin']) {
+        /*
+            compare hosts in HTTP_ORIGIN & SERVER_NAME
+         */
+        let serverNameVar = std.getenv('SERVER_NAME');
+        let serverName;
+        if (undefined !== serverNameVar) {
+            // remove port
+            const matches = serverNameVar.match(/^([^:]*|\[[^\]]*\]):[0-9]+$/);
+            if (null !== matches) {
+                serverNameVar = matches[1];
+            }
+            serverName = normalizeHost(serverNameVar);
+        }
+        if (undefined === serverName) {
+            std.err.printf(`${getUsage()}\n`);
+            exitWithError(5, `Environment variable 'SERVER_NAME' is missing or invalid`, 'INVALID_SERVER_NAME');
+        }
+        if (serverName != httpOrigin.host) {
+            exitWithError(5, `Same origin policy mismatch : '${serverName}' != '${httpOrigin.host}'`, 'ORIGIN_MISMATCH');
+        }
+        allowed = true;
+    }
+    if (!allowed) {
+        exitWithError(5, `Origin '${std.getenv('HTTP_ORIGIN')}' is not allowed`, 'ORIGIN_NOT_ALLOWED');
+    }
+}
+
+// Ensure {task_id} has been provided through environment variable 'PATH_INFO'
+let taskId;
+let attachRunId;
+let pathInfo = std.getenv('PATH_INFO');
+if (undefined !== pathInfo) {
+    // remove leading '/'
+    if (pathInfo.startsWith('/')) {
+        pathInfo = pathInfo.substr(1);
+    }
+    const parts = pathInfo.split('/');
+    const firstPart = parts[0].trim();
+    if ('' != firstPart && '.' != firstPart && '..' != firstPart) {
+        taskId = firstPart;
+    }
+    // /{task_id}/attach/{run_id} is used to attach to a detached run
+    if (parts.length > 1 && 'attach' == parts[1].trim()) {
+        attachRunId = (parts.length > 2) ? parts[2].trim() : '';
+    }
+}
+if (undefined === taskId) {
+    exitWithError(3, `Environment variable 'PATH_INFO' is missing or invalid`, 'INVALID_PATH');
+}
+audit.taskId = taskId;
+if (undefined !== attachRunId) {
+    audit.runId = attachRunId;
+}
+
+/*
+    Parse query string
+ */
+let password = '';
+let token;
+let queryParams = {};
+const qsVar = std.getenv('QUERY_STRING');
+if (undefined !== qsVar && '' !== qsVar) {
+    const arr = qsVar.split('&');
+    arr.forEach((str, i) => {
+        // find '='
+        const pos = str.indexOf('=');
+        if (-1 == pos) {
+            return;
+        }
+        const key = str.substring(0, pos);
+        let value;
+        try {
+            value = decodeURIComponent(str.substring(pos + 1));
+        }
+        catch (e) {
+            exitWithError(7, `Query parameter '${key}' is not a valid percent-encoded string for task in file '${taskId}.json'`, 'INVALID_PARAMS');
+        }
+        if ('_password' === key) {
+            password = value;
+            return;            
+        }
+        if ('_token' === key) {
+            token = value;
+            return;
+        }
+        const varName = `QS_${key}`;
+        queryParams[varName] = value;
+    });
+}
+// query parameters written to audit log (secrets are redacted)
+audit.queryParams = {};
+for (const [varName, value] of Object.entries(queryParams)) {
+    audit.queryParams[varName.substring(3)] = value;
+}
+if ('' !== password) {
+    audit.queryParams._password = REDACTED;
+}
+if (undefined !== token) {
+    audit.queryParams._token = REDACTED;
+}
+// unset _password & _token environment variables
+std.unsetenv('_password');
+std.unsetenv('QS__password');
+std.unsetenv('_token');
+std.unsetenv('QS__token');
+
+/**
+ * Retrieve the value of a variable from 
+ * 
+ * @param {string} varName 
+ * 
+ * @return {string} variable value
+ */
+const getVar = (varName) => {
+    if (undefined !== queryParams[varName]) {
+        return queryParams[varName];
+    }
+    let value = std.getenv(varName);
+    if (undefined === value) {
+        value = '';
+    }
+    return value;
+}
+
+/**
+ * Quote a value so that it can be safely used as a single shell word
+ *
+ * @param {string} value
+ *
+ * @return {string}
+ */
+const shellQuote = (value) => {
+    return `'${value.replaceAll("'", "'\\''")}'`;
+}
+
+/**
+ * Get the replacement of a variable in a command line
+ * 
+ * @param {string} varName variable name
+ * @param {string} varValue variable value
+ * @param {string} mode substitution mode, one of below
+ *                      - quoted : value will be enclosed with single quotes
+ *                      - raw : value will be used as is
+ *                      - env : a reference to the environment variable will be used instead of the value
+ * 
+ * @return {string}
+ */
+const getVarReplacement = (varName, varValue, mode) => {
+    switch (mode) {
+        case 'quoted':
+            return shellQuote(varValue);
+        case 'env':
+            return `"$${varName}"`;
+        default:
+            return varValue;
+    }
+}
+
+/**
+ * Parse a command line into an array of arguments
+ *
+ * @param {string} command line
+ *
+ * @return {string[} arguments
+ */
+const parseArgs = (command) => {
+    // NB: regexp will fail in case an orphan quote or double quote exists
+    const args = command.match(/[^"' \t]+|["'](?:\\["']|[^"'])*['"]/g);
+    return args.map((e) => {
+        // remove enclosing double quotes
+        if (e.startsWith('"') && e.endsWith('"')) {
+            return e.slice(1, -1);
+        }
+        // remove enclosing single quotes
+        if (e.startsWith("'") && e.endsWith("'")) {
+            return e.slice(1, -1);
+        }
+        return e;
+    });
+}
+
+/**
+ * Convert an hex string to bytes
+ *
+ * @param {string} hex
+ *
+ * @return {Uint8Array}
+ */
+const hexToBytes = (hex) => {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; ++i) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Convert bytes to an hex string
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @return {string}
+ */
+const bytesToHex = (bytes) => {
+    let hex = '';
+    for (let i = 0; i < bytes.length; ++i) {
+        hex += bytes[i].toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Convert bytes to a base64 string
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @return {string}
+ */
+const bytesToBase64 = (bytes) => {
+    let str = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const n = (bytes[i] << 16) | ((i + 1 < bytes.length ? bytes[i + 1] : 0) << 8) | (i + 2 < bytes.length ? bytes[i + 2] : 0);
+        str += BASE64_CHARS[(n >> 18) & 0x3f] + BASE64_CHARS[(n >> 12) & 0x3f];
+        str += (i + 1 < bytes.length) ? BASE64_CHARS[(n >> 6) & 0x3f] : '=';
+        str += (i + 2 < bytes.length) ? BASE64_CHARS[n & 0x3f] : '=';
+    }
+    return str;
+}
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Compute the sha256 digest of a byte sequence
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @return {Uint8Array} digest (32 bytes)
+ */
+const sha256 = (bytes) => {
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    // add padding & message length (in bits)
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(paddedLength);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; ++i) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; ++i) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; ++i) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    for (let i = 0; i < 8; ++i) {
+        digestView.setUint32(i * 4, hash[i] >>> 0);
+    }
+    return digest;
+}
+
+/**
+ * Compute the hmac-sha256 of a byte sequence
+ *
+ * @param {Uint8Array} key
+ * @param {Uint8Array} bytes
+ *
+ * @return {Uint8Array} hmac (32 bytes)
+ */
+const hmacSha256 = (key, bytes) => {
+    if (key.length > 64) {
+        key = sha256(key);
+    }
+    const inner = new Uint8Array(64 + bytes.length);
+    const outer = new Uint8Array(64 + 32);
+    for (let i = 0; i < 64; ++i) {
+        const b = (i < key.length) ? key[i] : 0;
+        inner[i] = b ^ 0x36;
+        outer[i] = b ^ 0x5c;
+    }
+    inner.set(bytes, 64);
+    outer.set(sha256(inner), 64);
+    return sha256(outer);
+}
+
+/**
+ * Derive a key using pbkdf2 (hmac-sha256)
+ *
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {integer} iterations
+ * @param {integer} keyLength length of the key (in bytes)
+ *
+ * @return {Uint8Array}
+ */
+const pbkdf2Sha256 = (password, salt, iterations, keyLength) => {
+    const key = new Uint8Array(keyLength);
+    const block = new Uint8Array(salt.length + 4);
+    block.set(salt);
+    for (let blockIndex = 1, offset = 0; offset < keyLength; ++blockIndex, offset += 32) {
+        new DataView(block.buffer).setUint32(salt.length, blockIndex);
+        let u = hmacSha256(password, block);
+        const t = u.slice();
+        for (let i = 1; i < iterations; ++i) {
+            u = hmacSha256(password, u);
+            for (let j = 0; j < 32; ++j) {
+                t[j] ^= u[j];
+            }
+        }
+        key.set(t.subarray(0, Math.min(32, keyLength - offset)), offset);
+    }
+    return key;
+}
+
+/**
+ * Compare two byte sequences in constant time
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ *
+ * @return {boolean}
+ */
+const timingSafeEqual = (a, b) => {
+    if (a.length != b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; ++i) {
+        diff |= a[i] ^ b[i];
+    }
+    return 0 === diff;
+}
+
+/**
+ * Ensure an entry of the passwords property is valid
+ *
+ * @param {string} entry plain password, sha256:<hex> or pbkdf2:<iterations>:<salt>:<hash>
+ *
+ * @return {string|undefined} reason why entry is invalid (undefined if entry is valid)
+ */
+const checkPasswordEntry = (entry) => {
+    if (entry.startsWith('sha256:')) {
+        if (!/^[0-9a-fA-F]{64}$/.test(entry.substr(7))) {
+            return 'sha256 digest should be 64 hex characters';
+        }
+    }
+    else if (entry.startsWith('pbkdf2:')) {
+        const parts = entry.split(':');
+        if (4 != parts.length || !/^[1-9][0-9]*$/.test(parts[1]) ||
+                !/^(?:[0-9a-fA-F]{2})+$/.test(parts[2]) || !/^(?:[0-9a-fA-F]{2})+$/.test(parts[3])) {
+            return 'should be pbkdf2:<iterations>:<hex salt>:<hex hash>';
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Check a password against a list of plain or hashed passwords
+ *
+ * All entries are always checked so that the duration does not depend on the matching entry
+ *
+ * @param {string} password password to check
+ * @param {string[]} entries plain passwords, sha256:<hex> or pbkdf2:<iterations>:<salt>:<hash>
+ *
+ * @return {boolean}
+ */
+const checkPassword = (password, entries) => {
+    const passwordBytes = utf8Encode(password);
+    const digest = sha256(passwordBytes);
+    let valid = false;
+    for (const entry of entries) {
+        let match;
+        if (entry.startsWith('sha256:')) {
+            match = timingSafeEqual(digest, hexToBytes(entry.substr(7)));
+        }
+        else if (entry.startsWith('pbkdf2:')) {
+            const [, iterations, salt, hash] = entry.split(':');
+            const expectedKey = hexToBytes(hash);
+            match = timingSafeEqual(pbkdf2Sha256(passwordBytes, hexToBytes(salt), parseInt(iterations), expectedKey.length), expectedKey);
+        }
+        // compare digests to avoid leaking the length of plain passwords
+        else {
+            match = timingSafeEqual(digest, sha256(utf8Encode(entry)));
+        }
+        if (match) {
+            valid = true;
+        }
+    }
+    return valid;
+}
+
+/**
+ * Compute the hash of the query parameters, which can be included in a token
+ * to restrict the parameters which can be used
+ *
+ * Keys & values are percent-encoded (using encodeURIComponent) so that a value
+ * containing '&' or '=' cannot produce the same string as other parameters
+ *
+ * @return {string} hex digest of the sorted key=value pairs, joined using '&'
+ */
+const getQueryParamsHash = () => {
+    const pairs = Object.keys(queryParams).sort().map((varName) => {
+        return `${encodeURIComponent(varName.substr(3))}=${encodeURIComponent(queryParams[varName])}`;
+    });
+    return bytesToHex(sha256(utf8Encode(pairs.join('&'))));
+}
+
+/**
+ * Verify a token provided using '_token' query parameter
+ *
+ * A token has the format <expiry>.<params hash>.<signature> where
+ *
+ * - expiry is a unix timestamp (in seconds)
+ * - params hash is optional and is the value returned by getQueryParamsHash()
+ * - signature is the hex hmac-sha256 of <task_id>.<expiry>.<params hash> using the token secret
+ *
+ * @param {string} token
+ *
+ * @return {string|undefined} reason why token was rejected (undefined if token is valid)
+ */
+const verifyToken = (token) => {
+    if (undefined === tokenSecret) {
+        return 'tokens are not enabled';
+    }
+    const matches = token.match(/^([0-9]+)\.((?:[0-9a-f]{64})?)\.([0-9a-f]{64})$/);
+    if (null === matches) {
+        return 'invalid format';
+    }
+    const [, expiry, paramsHash, signature] = matches;
+    const expectedSignature = hmacSha256(utf8Encode(tokenSecret), utf8Encode(`${taskId}.${expiry}.${paramsHash}`));
+    if (!timingSafeEqual(hexToBytes(signature), expectedSignature)) {
+        return 'invalid signature';
+    }
+    if (parseInt(expiry) * 1000 < Date.now()) {
+        return 'token expired';
+    }
+    if ('' !== paramsHash && paramsHash !== getQueryParamsHash()) {
+        return 'query parameters mismatch';
+    }
+    return undefined;
+}
+
+/**
+ * Parse the command line of a task or a step
+ *
+ * @param {string|string[]} cmdLine
+ *
+ * @return {string[]|undefined} arguments (undefined if command line is missing or empty)
+ */
+const parseCmdLine = (cmdLine) => {
+    // single line
+    if ('string' == typeof cmdLine) {
+        if ('' === cmdLine) {
+            return undefined;
+        }
+        return parseArgs(cmdLine);
+    }
+    // exec-like array
+    if (Array.isArray(cmdLine) && 0 != cmdLine.length) {
+        return cmdLine;
+    }
+    return undefined;
+}
+
+/**
+ * Ensure steps defined in a task are valid (command lines will be parsed)
+ *
+ * @param {object[]} steps
+ * @param {string} filename name of the json file (used in error messages)
+ */
+const checkSteps = (steps, filename) => {
+    if (!Array.isArray(steps) || 0 == steps.length) {
+        const msg = `Invalid value found for property 'steps' in file '${filename}' (should be a non empty object[])`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (let i = 0; i < steps.length; ++i) {
+        const step = steps[i];
+        if (null === step || 'object' != typeof step || Array.isArray(step)) {
+            const msg = `Invalid value found at position ${i} for property 'steps' in file '${filename}' (should be an object)`;
+            const err = new Error(msg);
+            throw err;
+        }
+        const cmdLine = parseCmdLine(step.cmdLine);
+        if (undefined === cmdLine) {
+            const msg = `Missing 'cmdLine' at position ${i} for property 'steps' in file '${filename}'`;
+            const err = new Error(msg);
+            throw err;
+        }
+        step.cmdLine = cmdLine;
+        for (const [key, value] of Object.entries(step)) {
+            let error;
+            switch (key) {
+                case 'cmdLine':
+                    break;
+                case 'name':
+                case 'cwd':
+                    if ('string' != typeof value || '' === value) {
+                        error = 'should be a non empty string';
+                    }
+                    break;
+                case 'timeout':
+                    if (!Number.isInteger(value) || value < 1) {
+                        error = 'should be an integer >= 1';
+                    }
+                    break;
+                case 'continueOnError':
+                    if ('boolean' != typeof value) {
+                        error = 'should be a boolean';
+                    }
+                    break;
+                case 'env':
+                    if (!isValidEnv(value)) {
+                        error = 'should be an object with string or {fromFile:string} values';
+                    }
+                    break;
+                default:
+                    if (args['--strict']) {
+                        error = 'unknown property';
+                    }
+            }
+            if (undefined !== error) {
+                const msg = `Invalid value '${value}' found for '${key}' at position ${i} for property 'steps' in file '${filename}' (${error})`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+    }
+}
+
+/**
+ * Check whether or not environment variables defined in a task are valid
+ * Each value should either be a string or an object such as {"fromFile":string}
+ *
+ * @param {object} env
+ *
+ * @return {boolean}
+ */
+const isValidEnv = (env) => {
+    if (null === env || 'object' != typeof env || Array.isArray(env)) {
+        return false;
+    }
+    return undefined === Object.values(env).find((value) => {
+        if ('string' == typeof value) {
+            return false;
+        }
+        if (null === value || 'object' != typeof value) {
+            return true;
+        }
+        return 1 != Object.keys(value).length || 'string' != typeof value.fromFile || '' === value.fromFile;
+    });
+}
+
+/**
+ * Ensure output parsers defined in a task are valid (default values will be applied)
+ *
+ * @param {object[]} parsers
+ * @param {string} filename name of the json file (used in error messages)
+ */
+const checkParsers = (parsers, filename) => {
+    if (!Array.isArray(parsers)) {
+        const msg = `Invalid value found for property 'parsers' in file '${filename}' (should be an object[])`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (let i = 0; i < parsers.length; ++i) {
+        const parser = parsers[i];
+        if (null === parser || 'object' != typeof parser || Array.isArray(parser)) {
+            const msg = `Invalid value found at position ${i} for property 'parsers' in file '${filename}' (should be an object)`;
+            const err = new Error(msg);
+            throw err;
+        }
+        for (const key of ['regex', 'event']) {
+            if (undefined === parser[key]) {
+                const msg = `Missing '${key}' at position ${i} for property 'parsers' in file '${filename}'`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+        for (const [key, value] of Object.entries(parser)) {
+            let error;
+            switch (key) {
+                case 'regex':
+                    error = 'should be a valid regular expression';
+                    if ('string' == typeof value) {
+                        try {
+                            new RegExp(value);
+                            error = undefined;
+                        }
+                        catch (e) {
+                        }
+                    }
+                    break;
+                case 'event':
+                    if ('string' != typeof value || '' === value) {
+                        error = 'should be a non empty string';
+                    }
+                    else if (RESERVED_EVENTS.includes(value)) {
+                        error = `should not be one of [${RESERVED_EVENTS.join(',')}]`;
+                    }
+                    break;
+                case 'fields':
+                    if (null === value || 'object' != typeof value || Array.isArray(value)) {
+                        error = 'should be an object';
+                        break;
+                    }
+                    for (const [name, type] of Object.entries(value)) {
+                        if (RESERVED_FIELDS.includes(name)) {
+                            error = `field '${name}' is reserved`;
+                            break;
+                        }
+                        if (!PARSER_FIELD_TYPES.includes(type)) {
+                            error = `type of field '${name}' should be one of [${PARSER_FIELD_TYPES.join(',')}]`;
+                            break;
+                        }
+                    }
+                    break;
+                case 'stream':
+                    if ('stdout' !== value && 'stderr' !== value) {
+                        error = 'should be one of [stdout,stderr]';
+                    }
+                    break;
+                case 'forwardLine':
+                    if ('boolean' != typeof value) {
+                        error = 'should be a boolean';
+                    }
+                    break;
+                default:
+                    if (args['--strict']) {
+                        error = 'unknown property';
+                    }
+            }
+            if (undefined !== error) {
+                const msg = `Invalid value '${JSON.stringify(value)}' found for '${key}' at position ${i} for property 'parsers' in file '${filename}' (${error})`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+        // all named capture groups are used as fields if fields are not defined
+        if (undefined === parser.fields) {
+            for (const m of parser.regex.matchAll(/\(\?<([a-zA-Z_$][a-zA-Z_$0-9]*)>/g)) {
+                if (RESERVED_FIELDS.includes(m[1])) {
+                    const msg = `Invalid value '${JSON.stringify(parser.regex)}' found for 'regex' at position ${i} for property 'parsers' in file '${filename}' (capture group '${m[1]}' is reserved)`;
+                    const err = new Error(msg);
+                    throw err;
+                }
+            }
+        }
+        if (undefined === parser.stream) {
+            parser.stream = 'stdout';
+        }
+        if (undefined === parser.forwardLine) {
+            parser.forwardLine = true;
+        }
+    }
+}
+
+/**
+ * Ensure resource limits defined in a task are valid
+ *
+ * @param {object} limits
+ * @param {string} filename name of the json file (used in error messages)
+ */
+const checkLimits = (limits, filename) => {
+    if (null === limits || 'object' != typeof limits || Array.isArray(limits)) {
+        const msg = `Invalid type found for property 'limits' in file '${filename}' (should be an object)`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (const [name, value] of Object.entries(limits)) {
+        const def = LIMITS[name];
+        let error;
+        if (undefined === def) {
+            if (args['--strict']) {
+                error = 'unknown limit';
+            }
+        }
+        else if (!Number.isInteger(value) || value < def.min || (undefined !== def.max && value > def.max)) {
+            error = `should be an integer >= ${def.min}`;
+            if (undefined !== def.max) {
+                error += ` and <= ${def.max}`;
+            }
+        }
+        if (undefined !== error) {
+            const msg = `Invalid value '${value}' found for '${name}' in property 'limits' in file '${filename}' (${error})`;
+            const err = new Error(msg);
+            throw err;
+        }
+    }
+}
+
+/**
+ * Ensure parameters declared in a task are valid
+ *
+ * @param {object} params parameters definitions
+ * @param {string} filename name of the json file (used in error messages)
+ */
+const checkParamsDefinition = (params, filename) => {
+    if (null === params || 'object' != typeof params || Array.isArray(params)) {
+        const msg = `Invalid type found for property 'params' in file '${filename}' (should be an object)`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (const [name, def] of Object.entries(params)) {
+        if (null === def || 'object' != typeof def || Array.isArray(def)) {
+            const msg = `Invalid definition found for parameter '${name}' in property 'params' in file '${filename}' (should be an object)`;
+            const err = new Error(msg);
+            throw err;
+        }
+        if (args['--strict']) {
+            for (const key of Object.keys(def)) {
+                if (!PARAM_PROPERTIES.includes(key)) {
+                    const msg = `Unknown property '${key}' found in parameter '${name}' in property 'params' in file '${filename}'`;
+                    const err = new Error(msg);
+                    throw err;
+                }
+            }
+        }
+        if (undefined === def.type) {
+            def.type = 'string';
+        }
+        if (!PARAM_TYPES.includes(def.type)) {
+            const msg = `Invalid type '${def.type}' found for parameter '${name}' in property 'params' in file '${filename}' (should be one of [${PARAM_TYPES.join(',')}])`;
+            const err = new Error(msg);
+            throw err;
+        }
+        if (undefined !== def.required && 'boolean' != typeof def.required) {
+            const msg = `Invalid value '${def.required}' found for 'required' in parameter '${name}' in property 'params' in file '${filename}' (should be a boolean)`;
+            const err = new Error(msg);
+            throw err;
+        }
+        if (undefined !== def.secret && 'boolean' != typeof def.secret) {
+            const msg = `Invalid value '${def.secret}' found for 'secret' in parameter '${name}' in property 'params' in file '${filename}' (should be a boolean)`;
+            const err = new Error(msg);
+            throw err;
+        }
+        if (undefined !== def.regex) {
+            let valid = ('string' == typeof def.regex);
+            if (valid) {
+                try {
+                    new RegExp(def.regex);
+                }
+                catch (e) {
+                    valid = false;
+                }
+            }
+            if (!valid) {
+                const msg = `Invalid value '${def.regex}' found for 'regex' in parameter '${name}' in property 'params' in file '${filename}' (should be a valid regular expression)`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+        for (const bound of ['min', 'max']) {
+            if (undefined === def[bound]) {
+                continue;
+            }
+            // bounds are only supported by string & integer types
+            if ('boolean' == def.type || 'enum' == def.type) {
+                const msg = `Property '${bound}' is not supported for type '${def.type}' in parameter '${name}' in property 'params' in file '${filename}'`;
+                const err = new Error(msg);
+                throw err;
+            }
+            if (!Number.isInteger(def[bound])) {
+                const msg = `Invalid value '${def[bound]}' found for '${bound}' in parameter '${name}' in property 'params' in file '${filename}' (should be an integer)`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+        if ('enum' == def.type) {
+            if (!Array.isArray(def.values) || 0 == def.values.length || undefined !== def.values.find(v => 'string' != typeof v)) {
+                const msg = `Invalid value found for 'values' in parameter '${name}' in property 'params' in file '${filename}' (should be a non empty string[])`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+        if (undefined !== def.default) {
+            let error = checkParamValue(def, `${def.default}`);
+            if (undefined === error) {
+                if ('integer' == def.type && !Number.isInteger(def.default)) {
+                    error = `should be an integer`;
+                }
+                else if ('boolean' == def.type && 'boolean' != typeof def.default) {
+                    error = `should be a boolean`;
+                }
+                else if (('string' == def.type || 'enum' == def.type) && 'string' != typeof def.default) {
+                    error = `should be a string`;
+                }
+            }
+            if (undefined !== error) {
+                const msg = `Invalid value '${def.default}' found for 'default' in parameter '${name}' in property 'params' in file '${filename}' (${error})`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+    }
+}
+
+/**
+ * Ensure substitution modes defined in a task are valid
+ *
+ * @param {object} substitution substitution mode for each variable
+ * @param {string} filename name of the json file (used in error messages)
+ */
+const checkSubstitutionDefinition = (substitution, filename) => {
+    if (null === substitution || 'object' != typeof substitution || Array.isArray(substitution)) {
+        const msg = `Invalid type found for property 'substitution' in file '${filename}' (should be an object)`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (const [varName, mode] of Object.entries(substitution)) {
+        if (!SUBSTITUTION_MODES.includes(mode)) {
+            const msg = `Invalid value '${mode}' found for variable '${varName}' in property 'substitution' in file '${filename}' (should be one of [${SUBSTITUTION_MODES.join(',')}])`;
+            const err = new Error(msg);
+            throw err;
+        }
+        // variable will be referenced by the shell
+        if ('env' == mode && !/^[a-zA-Z_][a-zA-Z_0-9]*$/.test(varName)) {
+            const msg = `Invalid variable name '${varName}' found in property 'substitution' in file '${filename}' (cannot be referenced by a shell)`;
+            const err = new Error(msg);
+            throw err;
+        }
+    }
+}
+
+/**
+ * Check the value of a parameter
+ *
+ * @param {object} def parameter definition
+ * @param {string} value value to check
+ *
+ * @return {string|undefined} reason why value is invalid (undefined if value is valid)
+ */
+const checkParamValue = (def, value) => {
+    switch (def.type) {
+        case 'integer':
+            if (!/^-?[0-9]+$/.test(value)) {
+                return 'should be an integer';
+            }
+            if (undefined !== def.min && parseInt(value) < def.min) {
+                return `should be >= ${def.min}`;
+            }
+            if (undefined !== def.max && parseInt(value) > def.max) {
+                return `should be <= ${def.max}`;
+            }
+            break;
+        case 'boolean':
+            if (!['true', 'false', '1', '0'].includes(value)) {
+                return 'should be a boolean';
+            }
+            break;
+        case 'enum':
+            if (!def.values.includes(value)) {
+                return `should be one of [${def.values.join(',')}]`;
+            }
+            break;
+        default:
+            if (undefined !== def.min && value.length < def.min) {
+                return `length should be >= ${def.min}`;
+            }
+            if (undefined !== def.max && value.length > def.max) {
+                return `length should be <= ${def.max}`;
+            }
+    }
+    // regex must match the whole value
+    if (undefined !== def.regex && !new RegExp(`^(?:${def.regex})$`).test(value)) {
+        return `should match ${def.regex}`;
+    }
+    return undefined;
+}
+
+/**
+ * Validate query parameters against the parameters declared in task
+ * and define default values (an exception will be thrown in case of error)
+ *
+ * @param {object} params parameters definitions
+ */
+const checkQueryParams = (params) => {
+    // ensure all query parameters were declared
+    for (const varName of Object.keys(queryParams)) {
+        const name = varName.substr(3);
+        if (undefined === params[name]) {
+            const msg = `Unknown query parameter '${name}'`;
+            const err = new Error(msg);
+            throw err;
+        }
+    }
+    for (const [name, def] of Object.entries(params)) {
+        const varName = `QS_${name}`;
+        let value = queryParams[varName];
+        if (undefined === value) {
+            if (undefined !== def.default) {
+                value = `${def.default}`;
+            }
+            else if (true === def.required) {
+                const msg = `Missing query parameter '${name}'`;
+                const err = new Error(msg);
+                throw err;
+            }
+            else {
+                continue;
+            }
+        }
+        const error = checkParamValue(def, value);
+        if (undefined !== error) {
+            const msg = `Invalid value '${value}' found for query parameter '${name}' (${error})`;
+            const err = new Error(msg);
+            throw err;
+        }
+        if ('boolean' == def.type) {
+            value = ('true' == value || '1' == value) ? 'true' : 'false';
+        }
+        queryParams[varName] = value;
+    }
+}
+
+/**
+ * Retrieve the pid of the controller
+ *
+ * @return {integer}
+ */
+const getPid = () => {
+    const [str] = os.readlink('/proc/self');
+    return parseInt(str);
+}
+const pid = getPid();
+
+/**
+ * Check whether or not a process is running
+ *
+ * @param {integer} pid
+ *
+ * @return {boolean}
+ */
+const isProcessAlive = (pid) => {
+    if (isNaN(pid) || pid <= 0) {
+        return false;
+    }
+    // EPERM means that process exists but belongs to another user
+    const ret = os.kill(pid, 0);
+    return (0 == ret || -1 == ret);
+}
+
+/**
+ * Atomically create a file containing the pid of the controller
+ *
+ * @param {string} file
+ *
+ * @return {boolean} false if file already exists
+ */
+const createPidFile = (file) => {
+    const fd = os.open(file, os.O_WRONLY | os.O_CREAT | os.O_EXCL, 0o644);
+    if (fd < 0) {
+        return false;
+    }
+    const f = std.fdopen(fd, 'w');
+    f.puts(`${pid}\n`);
+    f.close();
+    return true;
+}
+
+/**
+ * Remove a file created using createPidFile if its process is not running anymore
+ *
+ * @param {string} file
+ *
+ * @return {boolean} true if file does not exist anymore
+ */
+const removeStalePidFile = (file) => {
+    const str = std.loadFile(file);
+    if (null === str) {
+        return true;
+    }
+    if (isProcessAlive(parseInt(str.trim()))) {
+        return false;
+    }
+    os.remove(file);
+    return true;
+}
+
+/**
+ * Load a json file from context directory
+ *
+ * @param {string} filename name of the file
+ *
+ * @return {object} (an exception will be thrown in case of error)
+ */
+const loadJsonFile = (filename) => {
+    const file = `${args['--ctx-dir']}/${filename}`;
+    if (0 !== os.stat(file)[1]) {
+        const msg = `File '${filename}' does not exist in context directory`;
+        const err = new Error(msg);
+        err.missingFileOrInvalidJson = true;
+        throw err;
+    }
+    const str = std.loadFile(file);
+    if (null === str) {
+        const msg = `File '${filename}' does not exist in context directory`;
+        const err = new Error(msg);
+        err.missingFileOrInvalidJson = true;
+        throw err;
+    }
+    let obj;
+    try {
+        obj = std.parseExtJSON(str);
+    }
+    catch (e) {
+        obj = undefined;
+    }
+    if (null === obj || 'object' != typeof obj || Array.isArray(obj)) {
+        const msg = `File '${filename}' is not a valid json file`;
+        const err = new Error(msg);
+        err.missingFileOrInvalidJson = true;
+        err.invalidJson = true;
+        throw err;
+    }
+    return obj;
+}
+
+/**
+ * Merge two objects recursively (arrays are not merged)
+ *
+ * @param {object} base
+ * @param {object} obj values which will override the values from {base}
+ *
+ * @return {object} new object
+ */
+const deepMerge = (base, obj) => {
+    const isObject = (value) => {
+        return null !== value && 'object' == typeof value && !Array.isArray(value);
+    }
+    const result = Object.assign({}, base);
+    for (const [key, value] of Object.entries(obj)) {
+        if (isObject(value) && isObject(result[key])) {
+            result[key] = deepMerge(result[key], value);
+        }
+        else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Resolve the 'extends' property of a task by merging the task with its parents
+ *
+ * @param {object} obj task
+ * @param {string[]} chain identifiers of the files already loaded (used to detect cycles)
+ * @param {string} filename name of the file containing the task (used in error messages)
+ *
+ * @return {object} merged task (an exception will be thrown in case of error)
+ */
+const resolveParents = (obj, chain, filename) => {
+    if (undefined === obj.extends) {
+        return obj;
+    }
+    const parentId = obj.extends;
+    if ('string' != typeof parentId || !/^[^/]+$/.test(parentId) || '.' == parentId || '..' == parentId) {
+        const msg = `Invalid value '${parentId}' found for property 'extends' in file '${filename}' (should be the identifier of a task)`;
+        const err = new Error(msg);
+        throw err;
+    }
+    if (chain.includes(parentId)) {
+        const msg = `Cycle detected in property 'extends' in file '${filename}' (${chain.concat([parentId]).join(' -> ')})`;
+        const err = new Error(msg);
+        throw err;
+    }
+    const parentFilename = `${parentId}.json`;
+    let parent;
+    try {
+        parent = loadJsonFile(parentFilename);
+    }
+    catch (e) {
+        const msg = `Invalid value '${parentId}' found for property 'extends' in file '${filename}' (${e.message})`;
+        const err = new Error(msg);
+        throw err;
+    }
+    parent = resolveParents(parent, chain.concat([parentId]), parentFilename);
+    const child = Object.assign({}, obj);
+    delete child.extends;
+    return deepMerge(parent, child);
+}
+
+/**
+ * Atomically claim a task file and remove it, so that only one controller can execute the task
+ *
+ * @param {string} file task file
+ */
+const claimFile = (file) => {
+    // rename will fail if file was already claimed by another controller
+    const claimedFile = `${file}.${pid}.claimed`;
+    if (0 !== os.rename(file, claimedFile)) {
+        const msg = `File '${taskId}.json' does not exist in context directory`;
+        const err = new Error(msg);
+        err.missingFileOrInvalidJson = true;
+        throw err;
+    }
+    os.remove(claimedFile);
+}
+
+/**
+ * Create a lock file, waiting up to 5s for the lock to be released by another controller
+ *
+ * @param {string} file lock file
+ *
+ * @return {boolean} false if lock could not be acquired
+ */
+const acquireLockFile = (file) => {
+    for (let i = 0; i < 500; ++i) {
+        if (createPidFile(file) || (removeStalePidFile(file) && createPidFile(file))) {
+            return true;
+        }
+        os.sleep(10);
+    }
+    return false;
+}
+
+/**
+ * Increment the number of executions of a task and remove task file once {maxRuns} is reached
+ *
+ * NB: counter file is kept once {maxRuns} is reached so that a stale copy of the task cannot be executed again
+ *
+ * @param {string} file task file
+ * @param {integer} maxRuns maximum number of executions
+ */
+const countRun = (file, maxRuns) => {
+    const counterFile = `${stateDir}/.${encodeURIComponent(taskId)}.runs`;
+    const counterLockFile = `${counterFile}.lock`;
+    if (!acquireLockFile(counterLockFile)) {
+        const msg = `Could not lock counter file for task in file '${taskId}.json'`;
+        const err = new Error(msg);
+        throw err;
+    }
+    try {
+        // task file was removed by another controller after it was loaded
+        if (0 !== os.stat(file)[1]) {
+            const msg = `File '${taskId}.json' does not exist in context directory`;
+            const err = new Error(msg);
+            err.missingFileOrInvalidJson = true;
+            throw err;
+        }
+        const str = std.loadFile(counterFile);
+        let count = (null === str) ? 0 : parseInt(str.trim());
+        if (isNaN(count)) {
+            count = 0;
+        }
+        // limit was already reached (task file was re-created without removing the counter)
+        if (count >= maxRuns) {
+            os.remove(file);
+            const msg = `File '${taskId}.json' does not exist in context directory`;
+            const err = new Error(msg);
+            err.missingFileOrInvalidJson = true;
+            throw err;
+        }
+        ++count;
+        if (count == maxRuns) {
+            claimFile(file);
+        }
+        const f = std.open(counterFile, 'w');
+        f.puts(`${count}\n`);
+        f.close();
+    }
+    finally {
+        os.remove(counterLockFile);
+    }
+}
+
+/**
+ * Parse JSON file
+ * 
+ * @return {object} task object (an exception will be thrown in case of error)
+ */
+const getCtx = () => {
+    const filename = `${taskId}.json`;
+    // defaults are not a task
+    if (DEFAULTS_TASK_ID == taskId) {
+        const msg = `File '${filename}' cannot be used as a task`;
+        const err = new Error(msg);
+        err.missingFileOrInvalidJson = true;
+        throw err;
+    }
+    let ctx = resolveParents(loadJsonFile(filename), [taskId], filename);
+    // apply defaults
+    const defaultsFilename = `${DEFAULTS_TASK_ID}.json`;
+    if (0 === os.stat(`${args['--ctx-dir']}/${defaultsFilename}`)[1]) {
+        let defaults;
+        try {
+            defaults = resolveParents(loadJsonFile(defaultsFilename), [DEFAULTS_TASK_ID], defaultsFilename);
+        }
+        catch (e) {
+            delete e.missingFileOrInvalidJson;
+            throw e;
+        }
+        ctx = deepMerge(defaults, ctx);
+    }
+    let missingCmdLine = false;
+    if (undefined !== ctx.steps) {
+        if (undefined !== ctx.cmdLine) {
+            const msg = `Properties 'cmdLine' & 'steps' cannot be used together in file '${filename}'`;
+            const err = new Error(msg);
+            throw err;
+        }
+        checkSteps(ctx.steps, filename);
+    }
+    else {
+        ctx.cmdLine = parseCmdLine(ctx.cmdLine);
+        if (undefined === ctx.cmdLine) {
+            missingCmdLine = true;
+        }
+    }
+    if (undefined !== ctx.passwords) {
+        // single password
+        if ('string' == typeof ctx.passwords) {
+            if ('' === ctx.passwords) {
+                const msg = `Invalid value found for property 'passwords' in file '${filename}' (string cannot be empty)`;
+                const err = new Error(msg);
+                throw err;
+            }
+            const error = checkPasswordEntry(ctx.passwords);
+            if (undefined !== error) {
+                const msg = `Invalid value found for property 'passwords' in file '${filename}' (${error})`;
+                const err = new Error(msg);
+                throw err;
+            }
+            ctx.passwords = [ctx.passwords];
+        }
+        else if (Array.isArray(ctx.passwords)) {
+            if (0 == ctx.passwords.length) {
+                const msg = `Invalid value found for property 'passwords' in file '${filename}' (array cannot be empty)`;
+                const err = new Error(msg);
+                throw err;
+            }
+            for (let i = 0; i < ctx.passwords.length; ++i) {
+                if ('string' !== typeof ctx.passwords[i]) {
+                    const msg = `Invalid value found at position ${i} for property 'passwords' in file '${filename}' (should be a string)`;
+                    const err = new Error(msg);
+                    throw err;
+                }
+                if ('' === ctx.passwords[i]) {
+                    const msg = `Invalid value found at position ${i} for property 'passwords' in file '${filename}' (string cannot be empty)`;
+                    const err = new Error(msg);
+                    throw err;
+                }
+                const error = checkPasswordEntry(ctx.passwords[i]);
+                if (undefined !== error) {
+                    const msg = `Invalid value found at position ${i} for property 'passwords' in file '${filename}' (${error})`;
+                    const err = new Error(msg);
+                    throw err;
+                }
+            }
+        }
+        else {
+            const msg = `Invalid type found for property 'passwords' in file '${filename}' (should be a string|string[])`;
+            const err = new Error(msg);
+            throw err;
+        }
+    }
+    if (missingCmdLine) {
+        const msg = `Missing 'cmdLine' in file '${filename}'`;
+        const err = new Error(msg);
+        throw err;
+    }
+    if (undefined !== ctx.allowedOrigins) {
+        if ('string' == typeof ctx.allowedOrigins) {
+            ctx.allowedOrigins = [ctx.allowedOrigins];
+        }
+        if (!Array.isArray(ctx.allowedOrigins) || 0 == ctx.allowedOrigins.length) {
+            const msg = `Invalid type found for property 'allowedOrigins' in file '${filename}' (should be a string|string[])`;
+            const err = new Error(msg);
+            throw err;
+        }
+        for (let i = 0; i < ctx.allowedOrigins.length; ++i) {
+            if ('string' != typeof ctx.allowedOrigins[i] || undefined === parseOriginPattern(ctx.allowedOrigins[i])) {
+                const msg = `Invalid value '${ctx.allowedOrigins[i]}' found at position ${i} for property 'allowedOrigins' in file '${filename}' (should be a valid origin)`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+    }
+    if (undefined !== ctx.env && !isValidEnv(ctx.env)) {
+        const msg = `Invalid value found for property 'env' in file '${filename}' (should be an object with string or {fromFile:string} values)`;
+        const err = new Error(msg);
+        throw err;
+    }
+    for (const name of ['allowedAddresses', 'deniedAddresses', 'trustedProxies']) {
+        if (undefined === ctx[name]) {
+            continue;
+        }
+        if ('string' == typeof ctx[name]) {
+            ctx[name] = [ctx[name]];
+        }
+        if (!Array.isArray(ctx[name])) {
+            const msg = `Invalid type found for property '${name}' in file '${filename}' (should be a string|string[])`;
+            const err = new Error(msg);
+            throw err;
+        }
+        for (let i = 0; i < ctx[name].length; ++i) {
+            if ('string' != typeof ctx[name][i] || undefined === parseAddressPattern(ctx[name][i])) {
+                const msg = `Invalid value '${ctx[name][i]}' found at position ${i} for property '${name}' in file '${filename}' (should be an address or a CIDR range)`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+    }
+    if (undefined !== ctx.params) {
+        checkParamsDefinition(ctx.params, filename);
+    }
+    if (undefined !== ctx.substitution) {
+        checkSubstitutionDefinition(ctx.substitution, filename);
+        // environment variables can only be referenced by a shell
+        if (true !== ctx.useShell) {
+            const varName = Object.keys(ctx.substitution).find(k => 'env' == ctx.substitution[k]);
+            if (undefined !== varName) {
+                const msg = `Invalid value 'env' found for variable '${varName}' in property 'substitution' in file '${filename}' (can only be used when 'useShell' is true)`;
+                const err = new Error(msg);
+                throw err;
+            }
+        }
+    }
+    if (undefined !== ctx.parsers) {
+        checkParsers(ctx.parsers, filename);
+    }
+    if (undefined !== ctx.limits) {
+        checkLimits(ctx.limits, filename);
+    }
+    if (undefined !== ctx.groups) {
+        if (!Array.isArray(ctx.groups) || undefined !== ctx.groups.find(g => 'string' != typeof g || '' === g)) {
+            const msg = `Invalid value found for property 'groups' in file '${filename}' (should be a string[])`;
+            const err = new Error(msg);
+            throw err;
+        }
+    }
+    // an unsupported signal would prevent child process from being killed, so it is checked even without --strict
+    if (undefined !== ctx.killSignal && !TASK_OPTIONAL_PROPERTIES.killSignal.values.includes(ctx.killSignal)) {
+        const msg = `Invalid value '${ctx.killSignal}' found for property 'killSignal' in file '${filename}' (should be one of [${TASK_OPTIONAL_PROPERTIES.killSignal.values.join(',')}])`;
+        const err = new Error(msg);
+        throw err;
+    }
+    // check all optional tasks
+    if (args['--strict']) {
+        for (const [key, value] of Object.entries(ctx)) {
+            // already checked
+            if (TASK_SPECIAL_PROPERTIES.includes(key)) {
+                continue;
+            }
+            // unknown property
+            if (undefined === TASK_OPTIONAL_PROPERTIES[key]) {
+                const msg = `Unknown '${key}' property in file '${filename}'`;
+                const err = new Error(msg);
+                throw err;
+            }
+            // string
+            if ('string' == TASK_OPTIONAL_PROPERTIES[key].type) {
+                if ('string' != typeof value) {
+                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
+                    const err = new Error(msg);
+                    throw err;
+                }
+                if (undefined !== TASK_OPTIONAL_PROPERTIES[key].minLen) {
+                    if (value.length < TASK_OPTIONAL_PROPERTIES[key].minLen) {
+                        const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (length should be >= ${TASK_OPTIONAL_PROPERTIES[key].minLen})`
+                        const err = new Error(msg);
+                        throw err;
+                    }
+                }
+                if (undefined !== TASK_OPTIONAL_PROPERTIES[key].values) {
+                    if (!TASK_OPTIONAL_PROPERTIES[key].values.includes(value)) {
+                        const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be one of [${TASK_OPTIONAL_PROPERTIES[key].values.join(',')}])`
+                        const err = new Error(msg);
+                        throw err;
+                    }
+                }
+            }
+            // integer
+            else if ('integer' == TASK_OPTIONAL_PROPERTIES[key].type) {
+                if ('number' != typeof value) {
+                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
+                    const err = new Error(msg);
+                    throw err;
+                }
+                const intValue = parseInt(value);
+                if (isNaN(intValue)) {
+                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
+                    const err = new Error(msg);
+                    throw err;
+                }
+                if (undefined !== TASK_OPTIONAL_PROPERTIES[key].min) {
+                    if (intValue < TASK_OPTIONAL_PROPERTIES[key].min) {
+                        const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be >= ${TASK_OPTIONAL_PROPERTIES[key].min})`
+                        const err = new Error(msg);
+                        throw err;
+                    }
+                }
+                ctx[key] = intValue;
+            }
+            // boolean
+            else if ('boolean' == TASK_OPTIONAL_PROPERTIES[key].type) {
+                if ('boolean' != typeof value) {
+                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
+                    const err = new Error(msg);
+                    throw err;
+                }
+            }
+            // object
+            else {
+                if ('object' != typeof value) {
+                    const msg = `Invalid value '${value}' found for property '${key}' in file '${filename}' (should be a ${TASK_OPTIONAL_PROPERTIES[key].type})`
+                    const err = new Error(msg);
+                    throw err;
+                }
+            }
+        }
+    }
+    // define optional values
+    for (const [key, obj] of Object.entries(TASK_OPTIONAL_PROPERTIES)) {
+        if (undefined === ctx[key] && undefined !== obj.default) {
+            ctx[key] = obj.default;
+        }
+    }
+    return ctx;
+}
+
+/*
+    Detached runs
+ */
+const runsDir = `${stateDir}/runs`;
+const supervisedRunDir = args['--supervise'];
+
+/**
+ * Generate a random run id
+ *
+ * @return {string} 128 bits hex string
+ */
+const generateRunId = () => {
+    const bytes = new Uint8Array(16);
+    const f = std.open('/dev/urandom', 'rb');
+    f.read(bytes.buffer, 0, bytes.length);
+    f.close();
+    return bytesToHex(bytes);
+}
+
+/**
+ * Load the description of a detached run
+ *
+ * @param {string} runDir directory of the run
+ *
+ * @return {object|undefined} {taskId:string, ctx:object} (undefined if run does not exist)
+ */
+const loadRun = (runDir) => {
+    const str = std.loadFile(`${runDir}/run.json`);
+    if (null === str) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(str);
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Check whether or not the supervisor of a detached run is running
+ *
+ * @param {string} runDir directory of the run
+ * @param {integer} startTime timestamp at which client started to follow the run
+ *
+ * @return {boolean}
+ */
+const isSupervisorAlive = (runDir, startTime) => {
+    const str = std.loadFile(`${runDir}/pid`);
+    // supervisor might still be starting
+    if (null === str) {
+        return (Date.now() - startTime) < 10000;
+    }
+    return isProcessAlive(parseInt(str));
+}
+
+/**
+ * Forward the journal of a detached run to the client until the exit event (controller will exit afterwards)
+ *
+ * @param {string} runDir directory of the run
+ * @param {string} runId
+ * @param {integer} childPid pid of the supervisor if it was started by the controller (optional)
+ */
+const followRun = (runDir, runId, childPid) => {
+    const fd = os.open(`${runDir}/journal`, os.O_RDONLY);
+    if (fd < 0) {
+        exitWithError(3, `Journal of run '${runId}' cannot be read for task in file '${taskId}.json'`, 'RUN_NOT_FOUND');
+    }
+    const startTime = Date.now();
+    const buffer = new ArrayBuffer(4096);
+    let pending = [];
+    let stopped = false;
+    for (;;) {
+        const count = os.read(fd, buffer, 0, buffer.byteLength);
+        if (count > 0) {
+            const bytes = new Uint8Array(buffer, 0, count);
+            for (let i = 0; i < count; ++i) {
+                if (0x0a != bytes[i]) {
+                    pending.push(bytes[i]);
+                    continue;
+                }
+                const line = utf8Decode(pending);
+                pending = [];
+                let obj;
+                try {
+                    obj = JSON.parse(line);
+                }
+                catch (e) {
+                    continue;
+                }
+                // events are renumbered so that client receives increasing sequence numbers (elapsed is kept)
+                obj.seq = ++eventSeq;
+                const str = `${JSON.stringify(obj)}\n`;
+                std.out.puts(str);
+                std.out.flush();
+                // encoding is only needed for the audit log
+                if (undefined !== args['--audit-log']) {
+                    audit.bytes += utf8Encode(str).length;
+                }
+                if ('exit' == obj.event) {
+                    Object.assign(audit, {
+                        exitCode:obj.state.exitCode,
+                        didTimeout:obj.state.didTimeout,
+                        signal:obj.state.signal
+                    });
+                    exit((0 == obj.state.exitCode) ? 0 : 1);
+                }
+                // supervisor failed
+                if ('error' == obj.event) {
+                    audit.error = obj.message;
+                    audit.errorCode = obj.code;
+                    exit(obj.exitCode);
+                }
+                if ('busy' == obj.event) {
+                    exitWithError(8, `Maximum number of concurrent executions (${obj.maxConcurrent}) reached for task in file '${taskId}.json'`, 'BUSY');
+                }
+            }
+            continue;
+        }
+        // journal is read one last time after supervisor stopped
+        if (stopped) {
+            exitWithError(14, `Run '${runId}' of task in file '${taskId}.json' was interrupted`, 'RUN_INTERRUPTED');
+        }
+        // reap supervisor
+        if (undefined !== childPid) {
+            os.waitpid(childPid, os.WNOHANG);
+        }
+        if (!isSupervisorAlive(runDir, startTime)) {
+            stopped = true;
+            continue;
+        }
+        os.sleep(250);
+    }
+}
+
+// client attaching to a detached run is authorized using the context saved by the controller which started the run
+let attachedRun;
+if (undefined !== attachRunId) {
+    attachedRun = /^[0-9a-f]{32}$/.test(attachRunId) ? loadRun(`${runsDir}/${attachRunId}`) : undefined;
+    if (undefined === attachedRun || attachedRun.taskId !== taskId) {
+        exitWithError(3, `Run '${attachRunId}' does not exist for task in file '${taskId}.json'`, 'RUN_NOT_FOUND');
+    }
+}
+
+let ctx;
+try {
+    // supervisor of a detached run uses the context saved by the controller which started the run
+    if (undefined !== supervisedRunDir) {
+        const run = loadRun(supervisedRunDir);
+        if (undefined === run) {
+            const msg = `Run directory '${supervisedRunDir}' is invalid`;
+            const err = new Error(msg);
+            err.missingFileOrInvalidJson = true;
+            throw err;
+        }
+        ctx = run.ctx;
+    }
+    else if (undefined !== attachedRun) {
+        ctx = attachedRun.ctx;
+    }
+    else {
+        ctx = getCtx();
+    }
+}
+catch (e) {
+    let exitCode = 4;
+    let code = 'INVALID_TASK';
+    if (true === e.missingFileOrInvalidJson) {
         exitCode = 3;
+        code = (true === e.invalidJson) ? 'INVALID_JSON' : 'TASK_NOT_FOUND';
+    }
+    exitWithError(exitCode, e.message, code);
+}
+if (undefined !== supervisedRunDir) {
+    createPidFile(`${supervisedRunDir}/pid`);
+}
+// redact secret query parameters in audit log
+if (undefined !== ctx.params) {
+    for (const [name, def] of Object.entries(ctx.params)) {
+        if (true === def.secret && undefined !== audit.queryParams[name]) {
+            audit.queryParams[name] = REDACTED;
+        }
+    }
+}
+
+// origins allowed for the task
+if (undefined !== ctx.allowedOrigins) {
+    const httpOrigin = getHttpOrigin();
+    if (undefined === ctx.allowedOrigins.find(str => matchOrigin(httpOrigin, parseOriginPattern(str)))) {
+        exitWithError(5, `Origin '${std.getenv('HTTP_ORIGIN')}' is not allowed for task in file '${taskId}.json'`, 'ORIGIN_NOT_ALLOWED');
+    }
+}
+
+/*
+    Address of the client (the last address of X-Forwarded-For header, added by the reverse proxy, is used if {trustProxyHeader} is {true}
+    and request was received from one of {trustedProxies})
+ */
+let remoteAddr = std.getenv('REMOTE_ADDR') || 'unknown';
+if ((undefined !== ctx.trustProxyHeader) ? ctx.trustProxyHeader : args['--trust-proxy-header']) {
+    const trustedProxies = (undefined !== ctx.trustedProxies) ? ctx.trustedProxies : (args['--trusted-proxy'] || []);
+    const proxyBytes = parseIPAddress(remoteAddr);
+    // header can be forged by clients which are not behind a trusted proxy
+    const isTrusted = (undefined !== proxyBytes && undefined !== trustedProxies.find(str => matchAddress(proxyBytes, parseAddressPattern(str))));
+    const forwardedFor = std.getenv('HTTP_X_FORWARDED_FOR');
+    if (isTrusted && undefined !== forwardedFor && '' !== forwardedFor.trim()) {
+        remoteAddr = forwardedFor.split(',').pop().trim();
+        audit.clientAddr = remoteAddr;
+    }
+}
+
+// addresses allowed for the task (denied addresses take precedence)
+if (undefined === supervisedRunDir) {
+    const allowedAddresses = (undefined !== ctx.allowedAddresses) ? ctx.allowedAddresses : (args['--allowed-address'] || []);
+    const deniedAddresses = (undefined !== ctx.deniedAddresses) ? ctx.deniedAddresses : (args['--denied-address'] || []);
+    if (0 != allowedAddresses.length || 0 != deniedAddresses.length) {
+        const bytes = parseIPAddress(remoteAddr);
+        const matches = (str) => {
+            return undefined !== bytes && matchAddress(bytes, parseAddressPattern(str));
+        };
+        if (undefined === bytes || undefined !== deniedAddresses.find(matches) ||
+            (0 != allowedAddresses.length && undefined === allowedAddresses.find(matches))) {
+            exitWithError(11, `Address '${remoteAddr}' is not allowed for task in file '${taskId}.json'`, 'ADDRESS_NOT_ALLOWED');
+        }
+    }
+}
+
+/*
+    Brute-force protection (failed password attempts are counted per remote address & per task,
+    IPv6 clients being counted per /64 prefix)
+ */
+const maxAuthFailures = (undefined !== ctx.maxAuthFailures) ? ctx.maxAuthFailures : args['--max-auth-failures'];
+const authFailureWindow = (undefined !== ctx.authFailureWindow) ? ctx.authFailureWindow : (args['--auth-failure-window'] || 300);
+const lockoutDuration = (undefined !== ctx.lockoutDuration) ? ctx.lockoutDuration : (args['--lockout-duration'] || 60);
+// lockout duration is doubled after each lockout, up to 1 day
+const MAX_LOCKOUT_DURATION = 86400;
+// failed attempts which were not updated during 2 days are forgotten (lockout is always over)
+const AUTH_FAILURES_RETENTION = 2 * MAX_LOCKOUT_DURATION;
+
+/**
+ * Retrieve the key used to count the failed attempts of the remote address
+ * (a client usually owns a whole IPv6 /64 prefix)
+ *
+ * @return {string}
+ */
+const getAuthFailuresKey = () => {
+    const bytes = parseIPAddress(remoteAddr);
+    if (undefined === bytes) {
+        return remoteAddr;
+    }
+    if (4 == bytes.length) {
+        return bytes.join('.');
+    }
+    const groups = [];
+    for (let i = 0; i < 8; i += 2) {
+        groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+    return `${groups.join(':')}::/64`;
+}
+
+const authFailuresFile = `${stateDir}/.${encodeURIComponent(taskId)}.${encodeURIComponent(getAuthFailuresKey())}.auth`;
+
+/**
+ * Check whether or not a file containing failed attempts was updated during the retention period
+ *
+ * @param {string} file
+ *
+ * @return {boolean}
+ */
+const isAuthFailuresFileExpired = (file) => {
+    const [st, err] = os.stat(file);
+    return (0 == err && Date.now() - st.mtime > AUTH_FAILURES_RETENTION * 1000);
+}
+
+/**
+ * Remove the files containing failed attempts which were not updated during the retention period (for all tasks)
+ */
+const pruneAuthFailures = () => {
+    const [names, err] = os.readdir(stateDir);
+    if (0 != err) {
+        return;
+    }
+    for (const name of names) {
+        if (name.startsWith('.') && name.endsWith('.auth') && isAuthFailuresFileExpired(`${stateDir}/${name}`)) {
+            os.remove(`${stateDir}/${name}`);
+        }
+    }
+}
+
+/**
+ * Load the failed attempts of the remote address
+ *
+ * @return {object} {failures:integer[], lockouts:integer, lockedUntil:integer}
+ */
+const loadAuthFailures = () => {
+    const state = {failures:[], lockouts:0, lockedUntil:0};
+    const str = std.loadFile(authFailuresFile);
+    if (null === str || isAuthFailuresFileExpired(authFailuresFile)) {
+        return state;
+    }
+    try {
+        return Object.assign(state, JSON.parse(str));
+    }
+    catch (e) {
+        return state;
+    }
+}
+
+/**
+ * Retrieve the number of seconds until the remote address can try again
+ *
+ * @return {integer} 0 if remote address is not locked out
+ */
+const getLockoutDelay = () => {
+    if (undefined === maxAuthFailures) {
+        return 0;
+    }
+    const delay = loadAuthFailures().lockedUntil - Date.now();
+    return (delay > 0) ? Math.ceil(delay / 1000) : 0;
+}
+
+/**
+ * Record the result of a password check (remote address will be locked out once {maxAuthFailures} is reached)
+ *
+ * @param {boolean} passed whether or not password was valid
+ *
+ * @return {boolean} false if result could not be recorded (attempt should be refused)
+ */
+const updateAuthFailures = (passed) => {
+    if (undefined === maxAuthFailures) {
+        return true;
+    }
+    const authLockFile = `${authFailuresFile}.lock`;
+    if (!acquireLockFile(authLockFile)) {
+        std.err.printf(`Could not lock file '${authFailuresFile}' for task in file '${taskId}.json'\n`);
+        return false;
+    }
+    try {
+        // successful login resets the counter
+        if (passed) {
+            os.remove(authFailuresFile);
+            return true;
+        }
+        pruneAuthFailures();
+        const now = Date.now();
+        const state = loadAuthFailures();
+        state.failures = state.failures.filter(ts => ts > now - authFailureWindow * 1000);
+        state.failures.push(now);
+        if (state.failures.length >= maxAuthFailures) {
+            const duration = Math.min(lockoutDuration * Math.pow(2, state.lockouts), MAX_LOCKOUT_DURATION);
+            state.failures = [];
+            ++state.lockouts;
+            state.lockedUntil = now + duration * 1000;
+            std.err.printf(`Too many failed attempts from '${remoteAddr}' for task in file '${taskId}.json', locked out for ${duration}s\n`);
+        }
+        const f = std.open(authFailuresFile, 'w');
+        f.puts(JSON.stringify(state));
+        f.close();
+        return true;
+    }
+    finally {
+        os.remove(authLockFile);
+    }
+}
+
+// authentication was already performed by the controller which started the detached run
+if (undefined === supervisedRunDir) {
+    // check token (a valid token grants access even if task is password protected)
+    if (undefined !== token) {
+        const error = verifyToken(token);
+        audit.auth = {method:'token', passed:(undefined === error)};
+        if (undefined !== error) {
+            exitWithError(6, `Token is not valid for task in file '${taskId}.json' (${error})`, 'INVALID_TOKEN');
+        }
+    }
+    else if (ctx.requireToken) {
+        audit.auth = {method:'token', passed:false};
+        exitWithError(6, `Token is required for task in file '${taskId}.json'`, 'TOKEN_REQUIRED');
+    }
+    // check password
+    else if (undefined !== ctx.passwords) {
+        const lockedFor = getLockoutDelay();
+        if (lockedFor > 0) {
+            audit.auth = {method:'password', passed:false};
+            exitWithError(10, `Too many failed attempts from '${remoteAddr}' for task in file '${taskId}.json' (retry in ${lockedFor}s)`, 'LOCKED_OUT');
+        }
+        audit.auth = {method:'password', passed:checkPassword(password, ctx.passwords)};
+        // fail closed if attempt cannot be recorded
+        if (!updateAuthFailures(audit.auth.passed)) {
+            audit.auth.passed = false;
+            exitWithError(10, `Attempt from '${remoteAddr}' could not be recorded for task in file '${taskId}.json'`, 'LOCKED_OUT');
+        }
+        if (!audit.auth.passed) {
+            exitWithError(6, `Password is not valid for task in file '${taskId}.json'`, 'INVALID_PASSWORD');
+        }
+    }
+    else {
+        audit.auth = {method:'none', passed:true};
+    }
+}
+
+// follow the detached run once client was authorized (origin, address, token or password)
+if (undefined !== attachedRun) {
+    followRun(`${runsDir}/${attachRunId}`, attachRunId);
+}
+
+// check query parameters
+if (undefined !== ctx.params) {
+    try {
+        checkQueryParams(ctx.params);
+    }
+    catch (e) {
+        exitWithError(7, `${e.message} for task in file '${taskId}.json'`, 'INVALID_PARAMS');
+    }
+}
+
+/*
+    Values which should never be sent to client (values of secret query parameters
+    & of environment variables loaded from files)
+ */
+const secretValues = [];
+const secretEnvNames = [];
+
+/**
+ * Register a value which should be redacted
+ *
+ * @param {string} value
+ */
+const addSecretValue = (value) => {
+    if ('' === value || secretValues.includes(value)) {
+        return;
+    }
+    secretValues.push(value);
+    // longest values first so that a secret containing another one is fully redacted
+    secretValues.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replace all secret values in a string
+ *
+ * @param {string} str
+ *
+ * @return {string}
+ */
+const redactSecrets = (str) => {
+    for (const value of secretValues) {
+        str = str.split(value).join(REDACTED);
+    }
+    return str;
+}
+
+if (undefined !== ctx.params) {
+    for (const [name, def] of Object.entries(ctx.params)) {
+        const value = queryParams[`QS_${name}`];
+        if (true === def.secret && undefined !== value) {
+            addSecretValue(value);
+            // value is also passed as an environment variable
+            if (!secretEnvNames.includes(`QS_${name}`)) {
+                secretEnvNames.push(`QS_${name}`);
+            }
+        }
+    }
+}
+
+/**
+ * Load the value of an environment variable from a file (path is relative to context directory)
+ * An error will be printed and controller will exit if file cannot be read
+ *
+ * @param {string} name name of the environment variable
+ * @param {string} file
+ *
+ * @return {string}
+ */
+const loadSecretFile = (name, file) => {
+    const filepath = file.startsWith('/') ? file : `${args['--ctx-dir']}/${file}`;
+    const str = std.loadFile(filepath);
+    if (null === str) {
+        exitWithError(4, `File '${file}' used for environment variable '${name}' cannot be read for task in file '${taskId}.json'`, 'SECRET_NOT_READABLE');
+    }
+    // ignore final new line
+    const value = str.replace(/\r?\n$/, '');
+    addSecretValue(value);
+    if (!secretEnvNames.includes(name)) {
+        secretEnvNames.push(name);
+    }
+    return value;
+}
+
+/**
+ * Replace %xx% variables in a command line
+ *
+ * @param {string[]} cmdLine command line
+ *
+ * @return {string[]} new command line
+ */
+const substituteCmdLine = (cmdLine) => {
+    return cmdLine.map((arg) => {
+        // all variables are replaced in a single pass so that substituted values are never scanned again
+        // NB: a function is used to ensure '$' patterns are not interpreted
+        return arg.replace(/%([a-zA-Z_0-9.]+)%/g, (_, varName) => {
+            let varValue = getVar(varName);
+            if (undefined === varValue) {
+                varValue = '';
+            }
+            // no quoting is needed when arguments are passed directly to the process
+            const mode = ctx.useShell ? (ctx.substitution[varName] || 'quoted') : 'raw';
+            return getVarReplacement(varName, varValue, mode);
+        });
+    });
+}
+
+/**
+ * Replace %xx% variables in environment variables
+ *
+ * @param {object} env environment variables to process
+ * @param {object} childEnv object where the environment variables will be defined
+ */
+const substituteEnv = (env, childEnv) => {
+    for (const [key, value] of Object.entries(env)) {
+        // secret loaded from a file (no substitution is performed)
+        if ('object' == typeof value) {
+            childEnv[key] = loadSecretFile(key, value.fromFile);
+            continue;
+        }
+        childEnv[key] = value.replace(/%([a-zA-Z_0-9.]+)%/g, (_, varName) => {
+            const varValue = getVar(varName);
+            return undefined === varValue ? '' : varValue;
+        });
+    }
+}
+
+// process options
+const options = {
+    // use a new session so that we can trap signals
+    newSession:!args['--no-new-session'],
+    usePath:ctx.usePath,
+    useShell:ctx.useShell,
+    // binary output is never line buffered
+    lineBuffered:ctx.lineBuffered && 'utf8' == ctx.encoding,
+    redirectStderr:ctx.redirectStderr,
+    forwardStderr:ctx.forwardStderr,
+    env:queryParams,
+    replaceEnv:false
+};
+if (undefined !== ctx.cwd) {
+    options.cwd = ctx.cwd;
+}
+// use shell
+if (options.useShell) {
+    if (undefined !== ctx.shell) {
+        options.shell = ctx.shell;
+    }
+}
+// timeout
+if (undefined !== ctx.timeout) {
+    const timeout = parseInt(ctx.timeout);
+    if (!isNaN(timeout) && timeout > 0) {
+        options.timeout = timeout;
+    }
+}
+// child environment
+if (undefined !== ctx.env && 'object' == typeof ctx.env) {
+    substituteEnv(ctx.env, options.env);
+}
+
+/**
+ * Resolve the executable of a command line relatively to the working directory of the process
+ * (ie: the way it is resolved when {usePath} is {false})
+ *
+ * @param {string} file executable
+ * @param {string} cwd working directory of the process (optional)
+ *
+ * @return {string} absolute path
+ */
+const getExecutablePath = (file, cwd) => {
+    if (file.startsWith('/')) {
+        return file;
+    }
+    let dir = os.getcwd()[0];
+    if (undefined !== cwd) {
+        dir = cwd.startsWith('/') ? cwd : `${dir}/${cwd}`;
+    }
+    return `${dir}/${file}`;
+}
+
+/**
+ * Prepend a wrapper command to a command line
+ *
+ * @param {string[]} wrapper wrapper command (found using PATH, executable of the task is resolved first if {usePath} is {false})
+ * @param {string[]} cmdLine command line
+ * @param {object} opt process options (shell will be executed by the wrapper if {useShell} is {true})
+ *
+ * @return {string[]} new command line
+ */
+const wrapCmdLine = (wrapper, cmdLine, opt) => {
+    if (0 == wrapper.length) {
+        return cmdLine;
+    }
+    // wrapper is found using PATH but executable of the task must be resolved as it would have been without the wrapper
+    if (!opt.usePath && !opt.useShell) {
+        cmdLine = [getExecutablePath(cmdLine[0], opt.cwd), ...cmdLine.slice(1)];
+    }
+    opt.usePath = true;
+    if (opt.useShell) {
+        opt.useShell = false;
+        const shell = (undefined !== opt.shell) ? opt.shell : '/bin/sh';
+        delete opt.shell;
+        return [...wrapper, shell, '-c', cmdLine.join(' ')];
+    }
+    return [...wrapper, ...cmdLine];
+}
+
+/**
+ * Load a colon separated database such as /etc/passwd or /etc/group
+ *
+ * @param {string} file
+ *
+ * @return {string[][]} fields of each entry
+ */
+const loadColonFile = (file) => {
+    const str = std.loadFile(file);
+    if (null === str) {
+        return [];
+    }
+    return str.split('\n').filter(line => '' !== line.trim() && !line.startsWith('#')).map(line => line.split(':'));
+}
+
+/**
+ * Retrieve the effective uid & gid of the controller
+ *
+ * @return {object} {uid:integer, gid:integer}
+ */
+const getEffectiveIds = () => {
+    const ids = {uid:-1, gid:-1};
+    const str = std.loadFile('/proc/self/status');
+    if (null === str) {
+        return ids;
+    }
+    // Uid: <real> <effective> <saved> <fs>
+    const uidMatches = str.match(/^Uid:\s+[0-9]+\s+([0-9]+)/m);
+    const gidMatches = str.match(/^Gid:\s+[0-9]+\s+([0-9]+)/m);
+    if (null !== uidMatches) {
+        ids.uid = parseInt(uidMatches[1]);
+    }
+    if (null !== gidMatches) {
+        ids.gid = parseInt(gidMatches[1]);
+    }
+    return ids;
+}
+
+/**
+ * Find a group by name or gid
+ *
+ * @param {string[][]} groups entries of /etc/group
+ * @param {string} str name or gid
+ *
+ * @return {integer|undefined} gid (undefined if group does not exist)
+ */
+const findGid = (groups, str) => {
+    const entry = groups.find(e => e[0] === str || e[2] === str);
+    if (undefined !== entry) {
+        return parseInt(entry[2]);
+    }
+    // numeric gid without entry
+    if (/^[0-9]+$/.test(str)) {
+        return parseInt(str);
+    }
+    return undefined;
+}
+
+/**
+ * Resolve the user & groups used to execute the task (an exception will be thrown if controller cannot switch to them)
+ *
+ * @return {object|undefined} {env:object, wrapper:string[]} (undefined if task does not define a user or a group)
+ */
+const resolveIdentity = () => {
+    if (undefined === ctx.user && undefined === ctx.group && undefined === ctx.groups) {
+        return undefined;
+    }
+    const identity = {env:{}, wrapper:[]};
+    const ids = getEffectiveIds();
+    const groups = loadColonFile('/etc/group');
+    let uid = ids.uid;
+    let gid = ids.gid;
+    let name;
+    if (undefined !== ctx.user) {
+        // name:password:uid:gid:gecos:home:shell
+        const entry = loadColonFile('/etc/passwd').find(e => e[0] === ctx.user || e[2] === ctx.user);
+        if (undefined === entry) {
+            const err = new Error(`User '${ctx.user}' does not exist`);
+            throw err;
+        }
+        name = entry[0];
+        uid = parseInt(entry[2]);
+        gid = parseInt(entry[3]);
+        identity.env.HOME = entry[5];
+        identity.env.USER = name;
+        identity.env.LOGNAME = name;
+    }
+    if (undefined !== ctx.group) {
+        gid = findGid(groups, ctx.group);
+        if (undefined === gid) {
+            const err = new Error(`Group '${ctx.group}' does not exist`);
+            throw err;
+        }
+    }
+    let gids;
+    if (undefined !== ctx.groups) {
+        gids = ctx.groups.map((str) => {
+            const value = findGid(groups, str);
+            if (undefined === value) {
+                const err = new Error(`Group '${str}' does not exist`);
+                throw err;
+            }
+            return value;
+        });
+    }
+    // nothing to change
+    if (uid == ids.uid && gid == ids.gid && undefined === gids) {
+        return identity;
+    }
+    if (0 != ids.uid) {
+        const err = new Error(`Controller is not allowed to switch to uid ${uid} & gid ${gid} (it needs to be run as root)`);
+        throw err;
+    }
+    const wrapper = ['setpriv', `--reuid=${uid}`, `--regid=${gid}`];
+    if (undefined !== gids) {
+        wrapper.push((0 == gids.length) ? '--clear-groups' : `--groups=${gids.join(',')}`);
+    }
+    // supplementary groups of the user
+    else if (undefined !== name) {
+        wrapper.push('--init-groups');
+    }
+    else {
+        wrapper.push('--clear-groups');
+    }
+    wrapper.push('--');
+    identity.wrapper = wrapper;
+    return identity;
+}
+
+/**
+ * Wrap a command line using setpriv so that child process is executed as the user & group of the task
+ * HOME, USER & LOGNAME environment variables will be updated
+ *
+ * @param {string[]} cmdLine command line
+ * @param {object} opt process options (shell will be executed by the wrapper if {useShell} is {true})
+ *
+ * @return {string[]} new command line
+ */
+const applyIdentity = (cmdLine, opt) => {
+    if (undefined === identity) {
+        return cmdLine;
+    }
+    Object.assign(opt.env, identity.env);
+    return wrapCmdLine(identity.wrapper, cmdLine, opt);
+}
+
+/**
+ * Wrap a command line using prlimit & nice to apply the resource limits of the task
+ *
+ * @param {string[]} cmdLine command line
+ * @param {object} opt process options (shell will be executed by the wrapper if {useShell} is {true})
+ *
+ * @return {string[]} new command line
+ */
+const applyLimits = (cmdLine, opt) => {
+    if (undefined === ctx.limits) {
+        return cmdLine;
+    }
+    const wrapper = [];
+    const prlimitArgs = [];
+    for (const [name, def] of Object.entries(LIMITS)) {
+        const value = ctx.limits[name];
+        if (undefined === value || undefined === def.prlimit) {
+            continue;
+        }
+        // process receives SIGXCPU when reaching soft limit & SIGKILL when reaching hard limit
+        if ('cpu' == name) {
+            prlimitArgs.push(`--${def.prlimit}=${value}:${value + 1}`);
+            continue;
+        }
+        prlimitArgs.push(`--${def.prlimit}=${value}`);
+    }
+    if (0 != prlimitArgs.length) {
+        wrapper.push('prlimit', ...prlimitArgs, '--');
+    }
+    if (undefined !== ctx.limits.nice) {
+        wrapper.push('nice', '-n', `${ctx.limits.nice}`);
+    }
+    return wrapCmdLine(wrapper, cmdLine, opt);
+}
+
+/**
+ * Retrieve the resource limit which caused a process to be killed (if it can be determined)
+ *
+ * @param {object} state state of the process
+ *
+ * @return {string|undefined}
+ */
+const getExceededLimit = (state) => {
+    if (undefined === ctx.limits) {
+        return undefined;
+    }
+    for (const [name, def] of Object.entries(LIMITS)) {
+        if (undefined === ctx.limits[name] || undefined === def.signal) {
+            continue;
+        }
+        if (-def.signal == state.exitCode || getSignalName(def.signal) === state.signal) {
+            return name;
+        }
+    }
+    return undefined;
+}
+
+// user & groups used to execute the task
+let identity;
+try {
+    identity = resolveIdentity();
+}
+catch (e) {
+    exitWithError(9, `${e.message} for task in file '${taskId}.json'`, 'USER_SWITCH_FAILED');
+}
+
+/*
+    List of steps to execute (a task without steps is executed as a single step)
+ */
+let steps;
+if (undefined !== ctx.steps) {
+    steps = ctx.steps.map((step, index) => {
+        const stepOptions = Object.assign({}, options, {env:Object.assign({}, options.env)});
+        if (undefined !== step.cwd) {
+            stepOptions.cwd = step.cwd;
+        }
+        if (undefined !== step.timeout) {
+            stepOptions.timeout = step.timeout;
+        }
+        if (undefined !== step.env) {
+            substituteEnv(step.env, stepOptions.env);
+        }
+        return {
+            index:index,
+            name:step.name,
+            cmdLine:applyLimits(applyIdentity(substituteCmdLine(step.cmdLine), stepOptions), stepOptions),
+            options:stepOptions,
+            continueOnError:true === step.continueOnError
+        };
+    });
+}
+else {
+    steps = [{
+        index:0,
+        cmdLine:applyLimits(applyIdentity(substituteCmdLine(ctx.cmdLine), options), options),
+        options:options,
+        continueOnError:false
+    }];
+}
+
+/**
+ * Hide the secret values in a command line
+ *
+ * @param {string|string[]} cmdLine
+ *
+ * @return {string|string[]}
+ */
+const redactCmdLine = (cmdLine) => {
+    if (Array.isArray(cmdLine)) {
+        return cmdLine.map(arg => redactCmdLine(arg));
+    }
+    return redactSecrets(cmdLine);
+}
+
+/**
+ * Hide the secret values in the environment variables of process options
+ *
+ * @param {object} opt process options
+ *
+ * @return {object} new options
+ */
+const redactOptions = (opt) => {
+    const env = {};
+    for (const [name, value] of Object.entries(opt.env)) {
+        // secrets can also be embedded in other variables (ex: "Bearer %QS_token%")
+        env[name] = secretEnvNames.includes(name) ? REDACTED : redactSecrets(value);
+    }
+    return Object.assign({}, opt, {env:env});
+}
+audit.cmdLine = (undefined !== ctx.steps) ? steps.map(step => redactCmdLine(step.cmdLine)) : redactCmdLine(steps[0].cmdLine);
+
+// output json representation, without executing
+if (args['--dry-run']) {
+    let obj;
+    if (undefined !== ctx.steps) {
+        obj = {
+            steps:steps.map((step) => {
+                return {
+                    name:step.name,
+                    cmdLine:redactCmdLine(step.cmdLine),
+                    options:redactOptions(step.options),
+                    continueOnError:step.continueOnError
+                };
+            })
+        };
+    }
+    else {
+        obj = {
+            cmdLine:redactCmdLine(steps[0].cmdLine),
+            options:redactOptions(steps[0].options)
+        };
+    }
+    std.out.puts(`${JSON.stringify(obj)}\n`);
+    std.out.flush();
+    std.exit(0);
+}
+
+/**
+ * Send an event to the client (pending output will be sent first)
+ *
+ * @param {object} obj event (timestamp, seq & elapsed will be added automatically)
+ */
+const sendEvent = (obj) => {
+    flushOutput();
+    writeEvent(obj);
+}
+
+/*
+    Output batching & rate limiting
+ */
+let batchInterval = ctx.batchInterval;
+if (undefined === batchInterval && undefined !== ctx.batchMaxLines) {
+    batchInterval = DEFAULT_BATCH_INTERVAL;
+}
+let batch;
+let batchTimer;
+let rateWindowStart = 0;
+let rateCount = 0;
+let dropped;
+let droppedTimer;
+
+/**
+ * Send the lines which were batched
+ */
+const flushBatch = () => {
+    if (undefined !== batchTimer) {
+        os.clearTimeout(batchTimer);
+        batchTimer = undefined;
+    }
+    if (undefined === batch) {
+        return;
+    }
+    const obj = batch;
+    batch = undefined;
+    writeEvent(obj);
+}
+
+/**
+ * Send the number of lines which were dropped
+ */
+const flushDropped = () => {
+    if (undefined !== droppedTimer) {
+        os.clearTimeout(droppedTimer);
+        droppedTimer = undefined;
+    }
+    if (undefined === dropped) {
+        return;
+    }
+    const obj = Object.assign({event:'dropped'}, dropped);
+    dropped = undefined;
+    writeEvent(obj);
+}
+
+/**
+ * Send all pending output
+ */
+const flushOutput = () => {
+    flushBatch();
+    flushDropped();
+}
+flushPendingOutput = flushOutput;
+
+/**
+ * Send content received from child process (it will be batched or dropped depending on task options)
+ *
+ * @param {string} name name of the event (stdout|stderr)
+ * @param {string} data
+ */
+const sendOutput = (name, data) => {
+    if (undefined !== ctx.maxRate) {
+        const now = Date.now();
+        if (now - rateWindowStart >= 1000) {
+            rateWindowStart = now;
+            rateCount = 0;
+            flushOutput();
+        }
+        if (rateCount >= ctx.maxRate) {
+            if (undefined === dropped) {
+                dropped = {stdout:0, stderr:0};
+                // report dropped lines at the end of the window
+                droppedTimer = os.setTimeout(() => {
+                    droppedTimer = undefined;
+                    flushOutput();
+                }, rateWindowStart + 1000 - now);
+            }
+            ++dropped[name];
+            return;
+        }
+        ++rateCount;
+    }
+    if (undefined === batchInterval) {
+        writeEvent({
+            event:name,
+            data:data
+        });
+        return;
+    }
+    // keep output ordered
+    if (undefined !== batch && name != batch.event) {
+        flushBatch();
+    }
+    if (undefined === batch) {
+        batch = {
+            event:name,
+            lines:[]
+        };
+        batchTimer = os.setTimeout(() => {
+            batchTimer = undefined;
+            flushBatch();
+        }, batchInterval);
+    }
+    batch.lines.push(data);
+    if (undefined !== ctx.batchMaxLines && batch.lines.length >= ctx.batchMaxLines) {
+        flushBatch();
+    }
+}
+
+/*
+    Output parsers (regular expressions are compiled once)
+ */
+const parsers = (undefined === ctx.parsers) ? [] : ctx.parsers.map((parser) => {
+    return Object.assign({}, parser, {regex:new RegExp(parser.regex)});
+});
+
+/**
+ * Convert a value captured by an output parser
+ *
+ * @param {string} type one of PARSER_FIELD_TYPES
+ * @param {string} value
+ *
+ * @return {string|number|boolean|null} (null if value cannot be converted)
+ */
+const convertField = (type, value) => {
+    switch (type) {
+        case 'integer': {
+            const n = parseInt(value);
+            return isNaN(n) ? null : n;
+        }
+        case 'float': {
+            const n = parseFloat(value);
+            return isNaN(n) ? null : n;
+        }
+        case 'boolean':
+            return ['true', '1', 'yes', 'on'].includes(value.trim().toLowerCase());
+    }
+    return value;
+}
+
+/**
+ * Build the event of the first output parser matching a line (only when output is line buffered)
+ *
+ * @param {string} stream (stdout|stderr)
+ * @param {string} line
+ *
+ * @return {object|undefined} {event:object, forwardLine:boolean} (undefined if no parser matched)
+ */
+const matchParsers = (stream, line) => {
+    if (!options.lineBuffered) {
+        return undefined;
+    }
+    for (const parser of parsers) {
+        if (stream != parser.stream) {
+            continue;
+        }
+        const matches = line.match(parser.regex);
+        if (null === matches) {
+            continue;
+        }
+        const obj = {event:parser.event};
+        const groups = (undefined !== matches.groups) ? matches.groups : {};
+        // all named groups are sent as strings if fields are not defined
+        const fields = (undefined !== parser.fields) ? parser.fields : {};
+        if (undefined === parser.fields) {
+            for (const name of Object.keys(groups)) {
+                fields[name] = 'string';
+            }
+        }
+        for (const [name, type] of Object.entries(fields)) {
+            if (undefined !== groups[name]) {
+                obj[name] = convertField(type, groups[name]);
+            }
+        }
+        return {event:obj, forwardLine:parser.forwardLine};
+    }
+    return undefined;
+}
+
+/**
+ * Convert a line printed by a task using jsonl output format to an event
+ *
+ * @param {string} line
+ *
+ * @return {object}
+ */
+const getJsonlEvent = (line) => {
+    let data;
+    try {
+        data = JSON.parse(line);
+    }
+    catch (e) {
+        return {
+            event:'stdout',
+            data:line,
+            parseError:true
+        };
+    }
+    // task can choose the name of the event (events emitted by the controller cannot be used)
+    if (undefined !== ctx.eventKey && null !== data && 'object' == typeof data && !Array.isArray(data)) {
+        const name = data[ctx.eventKey];
+        if ('string' == typeof name && '' !== name && !RESERVED_EVENTS.includes(name)) {
+            delete data[ctx.eventKey];
+            return {
+                event:name,
+                data:data
+            };
+        }
+    }
+    return {
+        event:'stdout',
+        data:data
+    };
+}
+
+/*
+    Statistics of the output received from child processes
+ */
+const outputStats = {
+    stdout:{bytes:0, lines:0},
+    stderr:{bytes:0, lines:0}
+};
+
+/**
+ * Update the statistics of an output
+ *
+ * @param {string} name (stdout|stderr)
+ * @param {string|Uint8Array} data content received from child process
+ * @param {integer} bytes size of the content in bytes (encoded using utf8 for a string)
+ */
+const countOutput = (name, data, bytes) => {
+    const stats = outputStats[name];
+    // new line was removed from content
+    if ('string' == typeof data && options.lineBuffered) {
+        stats.bytes += bytes + 1;
+        ++stats.lines;
+        return;
+    }
+    stats.bytes += bytes;
+    // new line is encoded as a single byte in utf8
+    for (let i = 0; i < data.length; ++i) {
+        if (0x0a == (('string' == typeof data) ? data.charCodeAt(i) : data[i])) {
+            ++stats.lines;
+        }
+    }
+}
+
+/**
+ * Retrieve the size of a content received from child process, once redacted
+ *
+ * @param {string} data content received from child process
+ * @param {string} redactedData content with secrets redacted
+ * @param {integer} bytes size of the received content in bytes
+ *
+ * @return {integer}
+ */
+const getRedactedSize = (data, redactedData, bytes) => {
+    // content only needs to be encoded again if it was changed
+    return (redactedData === data) ? bytes : utf8Encode(redactedData).length;
+}
+
+// stdout handler
+const onStdout = (e) => {
+    lastActivity = Date.now();
+    const bytes = utf8Encode(e.data).length;
+    countOutput('stdout', e.data, bytes);
+    const data = redactSecrets(e.data);
+    // parser events are also subject to output limits
+    if (!checkOutputLimit(getRedactedSize(e.data, data, bytes))) {
+        return;
+    }
+    const match = matchParsers('stdout', data);
+    if (undefined !== match) {
+        sendEvent(match.event);
+        if (!match.forwardLine) {
+            return;
+        }
+    }
+    if ('jsonl' == ctx.outputFormat && options.lineBuffered) {
+        sendEvent(getJsonlEvent(data));
+        return;
+    }
+    sendOutput('stdout', data);
+}
+
+// stderr handler
+const onStderr = (e) => {
+    lastActivity = Date.now();
+    const bytes = utf8Encode(e.data).length;
+    countOutput('stderr', e.data, bytes);
+    const data = redactSecrets(e.data);
+    const match = matchParsers('stderr', data);
+    // forward stderr to client
+    const forwardLine = options.forwardStderr && (undefined === match || match.forwardLine);
+    // parser events are also subject to output limits
+    if ((undefined !== match || forwardLine) && checkOutputLimit(getRedactedSize(e.data, data, bytes))) {
+        if (undefined !== match) {
+            sendEvent(match.event);
+        }
+        if (forwardLine) {
+            sendOutput('stderr', data);
+        }
+    }
+    if (options.lineBuffered) {
+        std.err.puts(`${data}\n`);
+    }
+    else {
+        std.err.puts(data);
+    }
+    std.err.flush();
+}
+
+/**
+ * Remove the directories of the detached runs which finished more than {--run-retention} seconds ago
+ */
+const pruneRuns = () => {
+    const runRetention = args['--run-retention'] || 604800;
+    const [names, err] = os.readdir(runsDir);
+    if (0 != err) {
+        return;
+    }
+    const now = Date.now();
+    for (const name of names) {
+        if (!/^[0-9a-f]{32}$/.test(name)) {
+            continue;
+        }
+        const runDir = `${runsDir}/${name}`;
+        // journal is updated until the end of the run
+        const [st, statErr] = os.stat(`${runDir}/journal`);
+        if (0 != statErr || now - st.mtime < runRetention * 1000) {
+            continue;
+        }
+        // supervisor is still running
+        const str = std.loadFile(`${runDir}/pid`);
+        if (null === str || isProcessAlive(parseInt(str))) {
+            continue;
+        }
+        const [files] = os.readdir(runDir);
+        for (const file of files) {
+            if ('.' !== file && '..' !== file) {
+                os.remove(`${runDir}/${file}`);
+            }
+        }
+        os.remove(runDir);
+    }
+}
+
+/**
+ * Start a supervisor which will execute the task and write events to the journal of the run
+ *
+ * @return {object} {runId:string, runDir:string, pid:integer}
+ */
+const startDetachedRun = () => {
+    // directory might already exist
+    os.mkdir(runsDir, 0o700);
+    pruneRuns();
+    const runId = generateRunId();
+    const runDir = `${runsDir}/${runId}`;
+    if (0 != os.mkdir(runDir, 0o700)) {
+        exitWithError(13, `Could not create directory '${runDir}' for task in file '${taskId}.json'`, 'RUN_FAILED');
+    }
+    // passwords are kept to authorize clients attaching to the run (directory is only readable by the controller)
+    const f = std.open(`${runDir}/run.json`, 'w');
+    f.puts(JSON.stringify({taskId:taskId, ctx:ctx}));
+    f.close();
+    const journalFd = os.open(`${runDir}/journal`, os.O_WRONLY | os.O_CREAT | os.O_APPEND, 0o600);
+    const logFd = os.open(`${runDir}/stderr.log`, os.O_WRONLY | os.O_CREAT | os.O_APPEND, 0o600);
+    const nullFd = os.open('/dev/null', os.O_RDONLY);
+    // use a new session so that supervisor does not receive signals sent by websocketd
+    const [exe] = os.readlink('/proc/self/exe');
+    const childPid = os.exec(['setsid', exe, ...scriptArgs, '--supervise', runDir], {
+        block:false,
+        usePath:true,
+        stdin:nullFd,
+        stdout:journalFd,
+        stderr:logFd
+    });
+    os.close(journalFd);
+    os.close(logFd);
+    os.close(nullFd);
+    return {runId:runId, runDir:runDir, pid:childPid};
+}
+
+// start a detached run and follow its journal
+if (ctx.detachable && undefined === supervisedRunDir) {
+    const run = startDetachedRun();
+    audit.runId = run.runId;
+    sendEvent({
+        event:'started',
+        runId:run.runId
+    });
+    followRun(run.runDir, run.runId, run.pid);
+}
+
+// identifier of the run (supervisor uses the one generated by the controller which started the run)
+const runId = (undefined !== supervisedRunDir) ? supervisedRunDir.substring(supervisedRunDir.lastIndexOf('/') + 1) : generateRunId();
+audit.runId = runId;
+
+/*
+    Output limits (values defined on command line are used by default)
+ */
+const maxOutputBytes = (undefined !== ctx.maxOutputBytes) ? ctx.maxOutputBytes : args['--max-output-bytes'];
+const maxOutputLines = (undefined !== ctx.maxOutputLines) ? ctx.maxOutputLines : args['--max-output-lines'];
+let forwardedBytes = 0;
+let forwardedLines = 0;
+let outputLimitReached = false;
+
+/**
+ * Count output forwarded to client and enforce output limits
+ *
+ * @param {integer} bytes number of bytes to forward
+ *
+ * @return {boolean} false if output should not be forwarded
+ */
+const checkOutputLimit = (bytes) => {
+    if (outputLimitReached) {
+        return false;
+    }
+    if ((undefined !== maxOutputBytes && forwardedBytes + bytes > maxOutputBytes) ||
+        (undefined !== maxOutputLines && forwardedLines + 1 > maxOutputLines)) {
+        outputLimitReached = true;
+        const obj = {
+            event:'outputLimit',
+            action:ctx.onOutputLimit
+        };
+        if (undefined !== maxOutputBytes) {
+            obj.maxOutputBytes = maxOutputBytes;
+        }
+        if (undefined !== maxOutputLines) {
+            obj.maxOutputLines = maxOutputLines;
+        }
+        sendEvent(obj);
+        if ('kill' == ctx.onOutputLimit) {
+            std.err.printf(`Output limit reached for task in file '${taskId}.json', process will be killed\n`);
+            terminated = true;
+            killChild('outputLimit');
+        }
+        return false;
     }
-    std.exit(exitCode);
+    forwardedBytes += bytes;
+    ++forwardedLines;
+    return true;
 }
 
-// check password
-if (undefined !== ctx.passwords) {
-    if (!ctx.passwords.includes(password)) {
-        std.err.printf(`Password '${password}' is not valid for task in file '${taskId}.json'\n`);
-        std.exit(6);
+/*
+    Binary output
+ */
+let outputBytes = 0;
+
+// stdout handler (when using base64 or hex encoding)
+const onBinaryStdout = (e) => {
+    lastActivity = Date.now();
+    countOutput('stdout', e.data, e.data.length);
+    outputBytes += e.data.length;
+    if (!checkOutputLimit(e.data.length)) {
+        return;
     }
+    sendEvent({
+        event:'stdout',
+        data:('hex' == ctx.encoding) ? bytesToHex(e.data) : bytesToBase64(e.data),
+        bytes:e.data.length
+    });
 }
 
-// process options
-const options = {
-    // use a new session so that we can trap signals
-    newSession:!args['--no-new-session'],
-    usePath:ctx.usePath,
-    useShell:ctx.useShell,
-    lineBuffered:ctx.lineBuffered,
-    redirectStderr:ctx.redirectStderr,
-    forwardStderr:ctx.forwardStderr,
-    env:queryParams,
-    replaceEnv:false
-};
-if (undefined !== ctx.cwd) {
-    options.cwd = ctx.cwd;
+/**
+ * Retrieve the name of a signal
+ *
+ * @param {integer} signal
+ *
+ * @return {string}
+ */
+const getSignalName = (signal) => {
+    for (const [name, value] of Object.entries(SIGNAL_NAMES)) {
+        if (value == signal) {
+            return name;
+        }
+    }
+    return `${signal}`;
 }
-// use shell
-if (options.useShell) {
-    if (undefined !== ctx.shell) {
-        options.shell = ctx.shell;
+
+/**
+ * Create a process whose output will be received as raw bytes (it exposes the same methods as Process)
+ * Events listeners will receive {data:Uint8Array}
+ *
+ * @param {string[]} cmdLine
+ * @param {object} opt same options as Process
+ *
+ * @return {object}
+ */
+const createBinaryProcess = (cmdLine, opt) => {
+    const listeners = {};
+    let childPid;
+    const obj = {};
+    Object.defineProperty(obj, 'pid', {get:() => childPid});
+    obj.setEventListener = (name, cb) => {
+        listeners[name] = cb;
+    };
+    obj.kill = (signal) => {
+        if (undefined !== childPid) {
+            os.kill(childPid, signal);
+        }
+    };
+    obj.run = () => {
+        return new Promise((resolve) => {
+            let argv = opt.useShell ? [opt.shell || '/bin/sh', '-c', cmdLine.join(' ')] : cmdLine.slice();
+            if (opt.newSession) {
+                argv = ['setsid', ...argv];
+            }
+            const stdoutFds = os.pipe();
+            const stderrFds = opt.redirectStderr ? stdoutFds : os.pipe();
+            const execOptions = {
+                block:false,
+                usePath:opt.usePath || opt.newSession,
+                env:Object.assign(opt.replaceEnv ? {} : std.getenviron(), opt.env),
+                stdout:stdoutFds[1],
+                stderr:stderrFds[1]
+            };
+            if (undefined !== opt.cwd) {
+                execOptions.cwd = opt.cwd;
+            }
+            childPid = os.exec(argv, execOptions);
+            os.close(stdoutFds[1]);
+            if (!opt.redirectStderr) {
+                os.close(stderrFds[1]);
+            }
+            // wait for child to exit once all outputs are closed
+            const waitForExit = () => {
+                const [ret, status] = os.waitpid(childPid, os.WNOHANG);
+                if (ret != childPid) {
+                    os.setTimeout(waitForExit, 50);
+                    return;
+                }
+                // timeouts are enforced by controller
+                const state = {
+                    exitCode:0,
+                    didTimeout:false
+                };
+                if (0 == (status & 0x7f)) {
+                    state.exitCode = (status >> 8) & 0xff;
+                }
+                else {
+                    state.exitCode = -(status & 0x7f);
+                    state.signal = getSignalName(status & 0x7f);
+                }
+                resolve(state);
+            }
+            let openFds = opt.redirectStderr ? 1 : 2;
+            const buffer = new ArrayBuffer(65536);
+            const readOutput = (fd, name) => {
+                os.setReadHandler(fd, () => {
+                    const count = os.read(fd, buffer, 0, buffer.byteLength);
+                    if (count <= 0) {
+                        os.setReadHandler(fd, null);
+                        os.close(fd);
+                        if (0 == --openFds) {
+                            waitForExit();
+                        }
+                        return;
+                    }
+                    if (undefined !== listeners[name]) {
+                        listeners[name]({data:new Uint8Array(buffer.slice(0, count))});
+                    }
+                });
+            }
+            readOutput(stdoutFds[0], 'stdout');
+            if (!opt.redirectStderr) {
+                readOutput(stderrFds[0], 'stderr');
+            }
+        });
+    };
+    return obj;
+}
+
+/*
+    When using json stdin protocol, controller keeps the input received from client
+    and child process will inherit a pipe as stdin
+ */
+let clientFd;
+let childStdin;
+if ('json' == ctx.stdinProtocol) {
+    clientFd = os.dup(0);
+    const fds = os.pipe();
+    os.dup2(fds[0], 0);
+    os.close(fds[0]);
+    childStdin = std.fdopen(fds[1], 'w');
+    if (false === ctx.forwardStdin) {
+        childStdin.close();
+        childStdin = undefined;
     }
+    // ensure controller is not killed when writing to a process which does not read its stdin anymore
+    os.signal(os.SIGPIPE, () => {});
 }
-// timeout
-if (undefined !== ctx.timeout) {
-    const timeout = parseInt(ctx.timeout);
-    if (!isNaN(timeout) && timeout > 0) {
-        options.timeout = timeout;
+// close stdin
+else if (false === ctx.forwardStdin) {
+    std.in.close();
+}
+
+/*
+    Process of the current step & whether or not controller was asked to terminate
+ */
+let p;
+let terminated = false;
+
+/*
+    Kill escalation : {killSignal} is sent first and SIGKILL is sent to the whole process group
+    after {killGracePeriod}. Timeouts are enforced by controller so that the same escalation is used
+ */
+const killSignal = SIGNAL_NAMES[ctx.killSignal];
+let killedBy;
+let timeoutTimer;
+let idleTimer;
+let graceTimer;
+let lastActivity;
+
+/**
+ * Ask child process to terminate (a terminating event will be sent for each signal)
+ *
+ * @param {string} reason one of (timeout, idleTimeout, client, outputLimit)
+ */
+const killChild = (reason) => {
+    // child process was already asked to terminate
+    if (undefined === p || undefined !== killedBy) {
+        return;
     }
+    killedBy = reason;
+    const obj = {
+        event:'terminating',
+        reason:reason,
+        signal:ctx.killSignal
+    };
+    if (undefined !== ctx.killGracePeriod) {
+        obj.gracePeriod = ctx.killGracePeriod;
+    }
+    sendEvent(obj);
+    p.kill(killSignal);
+    if (undefined === ctx.killGracePeriod) {
+        return;
+    }
+    graceTimer = os.setTimeout(() => {
+        graceTimer = undefined;
+        sendEvent({
+            event:'terminating',
+            reason:reason,
+            signal:'SIGKILL'
+        });
+        // child process is the leader of its process group when it was started in a new session
+        if (options.newSession) {
+            os.kill(-p.pid, CLIENT_SIGNALS.SIGKILL);
+        }
+        else {
+            p.kill(CLIENT_SIGNALS.SIGKILL);
+        }
+    }, ctx.killGracePeriod * 1000);
 }
-// child environment
-if (undefined !== ctx.env && 'object' == typeof ctx.env) {
-    for (const [key, value] of Object.entries(ctx.env)) {
-        options.env[key] = value;
-        const matches = value.matchAll(/%([a-zA-Z_0-9.]+)%/g);
-        for (const m of matches) {
-            const varName = m[1];
-            let varValue = getVar(varName);
-            if (undefined === varValue) {
-                varValue = '';
-            }
-            options.env[key] = replaceVarInCmdLine(options.env[key], varName, varValue, false);
+
+// kill child process if no output was received during {idleTimeout}
+const checkIdle = () => {
+    const remaining = lastActivity + ctx.idleTimeout * 1000 - Date.now();
+    if (remaining > 0) {
+        idleTimer = os.setTimeout(checkIdle, remaining);
+        return;
+    }
+    idleTimer = undefined;
+    killChild('idleTimeout');
+}
+
+/**
+ * Start timers of the current step
+ *
+ * @param {integer|undefined} timeout timeout of the step in seconds
+ */
+const startKillTimers = (timeout) => {
+    killedBy = undefined;
+    if (undefined !== timeout) {
+        timeoutTimer = os.setTimeout(() => {
+            timeoutTimer = undefined;
+            killChild('timeout');
+        }, timeout * 1000);
+    }
+    if (undefined !== ctx.idleTimeout) {
+        lastActivity = Date.now();
+        idleTimer = os.setTimeout(checkIdle, ctx.idleTimeout * 1000);
+    }
+}
+
+/**
+ * Stop timers of the current step
+ */
+const stopKillTimers = () => {
+    for (const timer of [timeoutTimer, idleTimer, graceTimer]) {
+        if (undefined !== timer) {
+            os.clearTimeout(timer);
         }
     }
+    timeoutTimer = undefined;
+    idleTimer = undefined;
+    graceTimer = undefined;
 }
 
-// output json representation, without executing
-if (args['--dry-run']) {
-    const obj = {
-        cmdLine:ctx.cmdLine,
-        options:options
+/**
+ * Retrieve cpu times of the child processes which were waited for (only available on Linux)
+ *
+ * @return {object|undefined} {userTime:integer, systemTime:integer} in ms
+ */
+const getChildrenCpuTimes = () => {
+    const str = std.loadFile('/proc/self/stat');
+    if (null === str) {
+        return undefined;
+    }
+    // command name can contain spaces, fields after command name start with field #3
+    const fields = str.substring(str.lastIndexOf(')') + 2).split(' ');
+    // cutime (#16) & cstime (#17) are expressed in clock ticks (1/100 s)
+    const userTime = parseInt(fields[13]);
+    const systemTime = parseInt(fields[14]);
+    if (isNaN(userTime) || isNaN(systemTime)) {
+        return undefined;
+    }
+    return {
+        userTime:userTime * 10,
+        systemTime:systemTime * 10
     };
-    std.out.puts(`${JSON.stringify(obj)}\n`);
-    std.out.flush();
-    std.exit(0);
 }
 
-// stdout handler
-const onStdout = (e) => {
-    const obj = {
-        event:'stdout',
-        data:e.data,
-        timestamp:Date.now()
-    };
-    std.out.puts(`${JSON.stringify(obj)}\n`);
-    std.out.flush();
+/*
+    Heartbeats
+ */
+let heartbeatTimer;
+
+// send a heartbeat event every {heartbeatInterval} seconds
+const sendHeartbeat = () => {
+    heartbeatTimer = os.setTimeout(() => {
+        sendEvent({
+            event:'heartbeat'
+        });
+        sendHeartbeat();
+    }, ctx.heartbeatInterval * 1000);
 }
 
-// stderr handler
-const onStderr = (e) => {
-    // forward stderr to client
-    if (options.forwardStderr) {
-        const obj = {
-            event:'stderr',
-            data:e.data,
-            timestamp:Date.now()
+/**
+ * Execute all steps, one after another
+ *
+ * @return {Promise} promise which will resolve to the final state
+ */
+const runSteps = async () => {
+    const isMultiStep = (undefined !== ctx.steps);
+    const results = [];
+    let state;
+    const startTime = Date.now();
+    const cpuTimes = getChildrenCpuTimes();
+    if (undefined !== ctx.heartbeatInterval) {
+        sendHeartbeat();
+    }
+    for (const step of steps) {
+        if (isMultiStep) {
+            sendEvent({
+                event:'stepStart',
+                index:step.index,
+                name:step.name
+            });
+        }
+        const processOptions = Object.assign({}, step.options);
+        // timeouts are enforced by controller
+        delete processOptions.timeout;
+        // stderr is decoded incrementally when using binary output (a character can be split across chunks)
+        let decodeStderr;
+        if ('utf8' != ctx.encoding) {
+            decodeStderr = createUtf8Decoder();
+            p = createBinaryProcess(step.cmdLine, processOptions);
+            p.setEventListener('stdout', onBinaryStdout);
+            p.setEventListener('stderr', (e) => {
+                const data = decodeStderr(e.data, false);
+                if ('' !== data) {
+                    onStderr({data:data});
+                }
+            });
+        }
+        else {
+            p = new Process(step.cmdLine, processOptions);
+            p.setEventListener('stdout', onStdout);
+            p.setEventListener('stderr', onStderr);
+        }
+        const promise = p.run();
+        startKillTimers(step.options.timeout);
+        const startEvent = {
+            event:'start',
+            runId:runId,
+            pid:p.pid,
+            argv:redactCmdLine(step.cmdLine),
+            timeout:step.options.timeout
+        };
+        if (isMultiStep) {
+            startEvent.index = step.index;
+        }
+        sendEvent(startEvent);
+        state = await promise;
+        stopKillTimers();
+        // incomplete sequence at the end of stderr
+        if (undefined !== decodeStderr) {
+            const data = decodeStderr([], true);
+            if ('' !== data) {
+                onStderr({data:data});
+            }
+        }
+        const stepState = {
+            exitCode:state.exitCode,
+            didTimeout:('timeout' == killedBy || 'idleTimeout' == killedBy),
+            signal:state.signal
         };
-        std.out.puts(`${JSON.stringify(obj)}\n`);
-        std.out.flush();
+        if (undefined !== killedBy) {
+            stepState.killedBy = killedBy;
+        }
+        const limit = getExceededLimit(state);
+        if (undefined !== limit) {
+            stepState.limit = limit;
+        }
+        results.push(Object.assign({
+            index:step.index,
+            name:step.name
+        }, stepState));
+        if (isMultiStep) {
+            sendEvent({
+                event:'stepExit',
+                index:step.index,
+                name:step.name,
+                state:stepState
+            });
+        }
+        if (terminated) {
+            break;
+        }
+        if (0 != state.exitCode) {
+            if (!step.continueOnError) {
+                break;
+            }
+        }
     }
-    if (options.lineBuffered) {
-        std.err.puts(`${e.data}\n`);
+    const finalState = Object.assign({}, results[results.length - 1]);
+    delete finalState.index;
+    delete finalState.name;
+    // errors of steps which can fail are ignored
+    if (0 != state.exitCode && steps[results.length - 1].continueOnError && !terminated) {
+        finalState.exitCode = 0;
+        finalState.didTimeout = false;
+        delete finalState.signal;
+        delete finalState.limit;
+        delete finalState.killedBy;
     }
-    else {
-        std.err.puts(e.data);
+    if (isMultiStep) {
+        finalState.steps = results;
     }
-    std.err.flush();
+    if (undefined !== heartbeatTimer) {
+        os.clearTimeout(heartbeatTimer);
+        heartbeatTimer = undefined;
+    }
+    finalState.duration = Date.now() - startTime;
+    finalState.stdout = outputStats.stdout;
+    finalState.stderr = outputStats.stderr;
+    if (undefined !== cpuTimes) {
+        const endCpuTimes = getChildrenCpuTimes();
+        finalState.rusage = {
+            userTime:endCpuTimes.userTime - cpuTimes.userTime,
+            systemTime:endCpuTimes.systemTime - cpuTimes.systemTime
+        };
+    }
+    return finalState;
 }
 
-// close stdin
-if (false === ctx.forwardStdin) {
-    std.in.close();
+/*
+    Concurrency limits
+ */
+let lockGroup, maxConcurrent;
+if (undefined !== ctx.maxConcurrent || undefined !== ctx.lockGroup) {
+    lockGroup = encodeURIComponent((undefined !== ctx.lockGroup) ? ctx.lockGroup : taskId);
+    // a lock group without limit is exclusive
+    maxConcurrent = (undefined !== ctx.maxConcurrent) ? ctx.maxConcurrent : 1;
+}
+let lockFile;
+let waitFile;
+
+/**
+ * Try to acquire one of the slots of the lock group
+ *
+ * @return {string|undefined} lock file (undefined if no slot is available)
+ */
+const acquireSlot = () => {
+    for (let slot = 0; slot < maxConcurrent; ++slot) {
+        const file = `${stateDir}/.${lockGroup}.${slot}.lock`;
+        if (createPidFile(file)) {
+            return file;
+        }
+        if (removeStalePidFile(file) && createPidFile(file)) {
+            return file;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Release the slot acquired using acquireSlot
+ */
+const releaseSlot = () => {
+    if (undefined !== lockFile) {
+        os.remove(lockFile);
+        lockFile = undefined;
+    }
+}
+
+/**
+ * Retrieve the entries of the queue of the lock group (stale entries will be removed)
+ *
+ * @return {string[]} names of the wait files, sorted by arrival
+ */
+const getQueue = () => {
+    const prefix = `.${lockGroup}.wait.`;
+    const [names] = os.readdir(stateDir);
+    return names.filter((name) => {
+        if (!name.startsWith(prefix)) {
+            return false;
+        }
+        // <prefix><timestamp>.<pid>
+        const entryPid = parseInt(name.substring(name.lastIndexOf('.') + 1));
+        if (entryPid != pid && !isProcessAlive(entryPid)) {
+            os.remove(`${stateDir}/${name}`);
+            return false;
+        }
+        return true;
+    }).sort();
+}
+
+/**
+ * Retrieve the position of the controller in the queue of the lock group
+ *
+ * @return {integer} position (starting from 1)
+ */
+const getQueuePosition = () => {
+    return getQueue().indexOf(waitFile.substring(waitFile.lastIndexOf('/') + 1)) + 1;
+}
+
+/**
+ * Wait until a slot of the lock group is available (a queued event will be sent whenever position in queue changes)
+ *
+ * @return {Promise}
+ */
+const waitForSlot = () => {
+    return new Promise((resolve) => {
+        waitFile = `${stateDir}/.${lockGroup}.wait.${`${Date.now()}`.padStart(15, '0')}.${pid}`;
+        createPidFile(waitFile);
+        let lastPosition;
+        const check = () => {
+            const position = getQueuePosition();
+            // only the first client in queue can acquire a slot
+            if (1 == position) {
+                lockFile = acquireSlot();
+                if (undefined !== lockFile) {
+                    os.remove(waitFile);
+                    waitFile = undefined;
+                    resolve();
+                    return;
+                }
+            }
+            if (position !== lastPosition) {
+                sendEvent({
+                    event:'queued',
+                    position:position
+                });
+                lastPosition = position;
+            }
+            os.setTimeout(check, 1000);
+        }
+        check();
+    });
+}
+
+/**
+ * Ensure concurrency limits are enforced before executing steps
+ *
+ * @return {Promise}
+ */
+const acquireLock = async () => {
+    if (undefined === lockGroup) {
+        return;
+    }
+    // clients waiting in queue have priority over new clients
+    if (0 == getQueue().length) {
+        lockFile = acquireSlot();
+        if (undefined !== lockFile) {
+            return;
+        }
+    }
+    if ('wait' == ctx.onBusy) {
+        return waitForSlot();
+    }
+    sendEvent({
+        event:'busy',
+        maxConcurrent:maxConcurrent
+    });
+    exitWithError(8, `Maximum number of concurrent executions (${maxConcurrent}) reached for task in file '${taskId}.json'`, 'BUSY');
+}
+
+/**
+ * Remove task file ({oneShot}) or count the execution ({maxRuns}) once client was authorized & a slot was acquired,
+ * so that rejected clients cannot use up the executions of the task
+ */
+const claimTask = () => {
+    const file = `${args['--ctx-dir']}/${taskId}.json`;
+    try {
+        // count executions
+        if (undefined !== ctx.maxRuns) {
+            countRun(file, ctx.maxRuns);
+        }
+        // remove file
+        else if (false !== ctx.oneShot) {
+            claimFile(file);
+        }
+    }
+    catch (e) {
+        releaseSlot();
+        if (true === e.missingFileOrInvalidJson) {
+            exitWithError(3, e.message, 'TASK_NOT_FOUND');
+        }
+        exitWithError(4, e.message, 'INVALID_TASK');
+    }
 }
 
-// create & run process
-const p = new Process(ctx.cmdLine, options);
-p.setEventListener('stdout', onStdout);
-p.setEventListener('stderr', onStderr);
-p.run().then((state) => {
+acquireLock().then(() => {
+    claimTask();
+    return runSteps();
+}).then((state) => {
+    releaseSlot();
     // send event indicating program exited
-    const obj = {
+    const exitEvent = {
         event:'exit',
-        state:{
-            exitCode:state.exitCode,
-            didTimeout:state.didTimeout,
-            signal:state.signal
-        },
-        timestamp:Date.now()
+        state:state
     };
-    std.out.puts(`${JSON.stringify(obj)}\n`);
-    std.out.flush();
+    if (undefined !== maxOutputBytes || undefined !== maxOutputLines) {
+        state.truncated = outputLimitReached;
+    }
+    // total number of bytes received on stdout, to let client check that it received everything
+    if ('utf8' != ctx.encoding) {
+        exitEvent.bytes = outputBytes;
+    }
+    sendEvent(exitEvent);
+    Object.assign(audit, {
+        exitCode:state.exitCode,
+        didTimeout:state.didTimeout,
+        signal:state.signal
+    });
     if (0 == state.exitCode) {
-        std.exit(0);
+        exit(0);
     }
     else {
-        std.exit(1);
+        exit(1);
     }
+}).catch((e) => {
+    // slot must be released so that other controllers are not blocked
+    releaseSlot();
+    exitWithError(12, `Unexpected error for task in file '${taskId}.json' (${e.message})`, 'INTERNAL_ERROR');
 });
 
+/**
+ * Process a message received from client when using json stdin protocol
+ *
+ * @param {string} str json message
+ */
+const processClientMessage = (str) => {
+    str = str.trim();
+    if ('' === str) {
+        return;
+    }
+    let msg;
+    try {
+        msg = JSON.parse(str);
+    }
+    catch (e) {
+        std.err.printf(`Ignoring invalid json message received from client : ${JSON.stringify(str)}\n`);
+        return;
+    }
+    if (null === msg || 'object' != typeof msg) {
+        std.err.printf(`Ignoring invalid json message received from client : ${JSON.stringify(str)}\n`);
+        return;
+    }
+    switch (msg.action) {
+        case 'stdin':
+            if (undefined === childStdin) {
+                return;
+            }
+            if ('string' != typeof msg.data) {
+                std.err.printf(`Ignoring 'stdin' message received from client (property 'data' should be a string)\n`);
+                return;
+            }
+            childStdin.puts(msg.data);
+            childStdin.flush();
+            return;
+        case 'closeStdin':
+            if (undefined === childStdin) {
+                return;
+            }
+            childStdin.close();
+            childStdin = undefined;
+            return;
+        case 'signal':
+            if (undefined === CLIENT_SIGNALS[msg.name]) {
+                std.err.printf(`Ignoring 'signal' message received from client (unsupported signal ${JSON.stringify(msg.name)})\n`);
+                return;
+            }
+            if (undefined !== p) {
+                p.kill(CLIENT_SIGNALS[msg.name]);
+            }
+            return;
+    }
+    std.err.printf(`Ignoring message with unknown action ${JSON.stringify(msg.action)} received from client\n`);
+}
+
+// process messages received from client (one message per line)
+if (undefined !== clientFd) {
+    const buffer = new ArrayBuffer(4096);
+    let pending = [];
+    os.setReadHandler(clientFd, () => {
+        const count = os.read(clientFd, buffer, 0, buffer.byteLength);
+        // client input was closed, child process will receive EOF
+        if (count <= 0) {
+            os.setReadHandler(clientFd, null);
+            if (pending.length > 0) {
+                processClientMessage(utf8Decode(pending));
+                pending = [];
+            }
+            if (undefined !== childStdin) {
+                childStdin.close();
+                childStdin = undefined;
+            }
+            return;
+        }
+        const bytes = new Uint8Array(buffer, 0, count);
+        for (let i = 0; i < count; ++i) {
+            if (0x0a == bytes[i]) {
+                processClientMessage(utf8Decode(pending));
+                pending = [];
+                continue;
+            }
+            pending.push(bytes[i]);
+        }
+    });
+}
+
 /*
-    trap signals sent by websocketd, send SIGTERM and 
+    trap signals sent by websocketd, send {killSignal} and 
     wait for child process to terminate
  */
-os.signal(os.SIGINT, () => {
-    p.kill(os.SIGTERM);
-});
-os.signal(os.SIGTERM, () => {
-    p.kill(os.SIGTERM);
-});
+const onTerminate = () => {
+    terminated = true;
+    // still waiting for a slot
+    if (undefined === p) {
+        if (undefined !== waitFile) {
+            os.remove(waitFile);
+        }
+        exit(1);
+    }
+    killChild('client');
+}
+os.signal(os.SIGINT, onTerminate);
+os.signal(os.SIGTERM, onTerminate);
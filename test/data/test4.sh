@@ -0,0 +1,3 @@
+#!/bin/sh
+# used to validate json stdin protocol (signal)
+exec sleep 10
\ No newline at end of file
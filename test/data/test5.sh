@@ -0,0 +1,4 @@
+#!/bin/sh
+echo "42% done"
+echo "[step 3/10] building"
+echo "other"
@@ -0,0 +1,5 @@
+#!/bin/sh
+echo '{"count":3}'
+echo '{"type":"progress","percent":10}'
+echo 'not json'
+echo '{"type":"exit","code":1}'
@@ -8,15 +8,32 @@ export default () => {
         const expectedExitCode = 3;
         let p, state;
         
+        let event;
+        
         // file does not exist
         p = new Process(cmdLine, {env:{'PATH_INFO':'missingFile'}});
         state = await p.run();
         tester.assertEq(state.exitCode, expectedExitCode, `exit code should be ${expectedExitCode} when task file does not exist`);
+        event = JSON.parse(p.stdout);
+        tester.assertEq([event.event, event.code, event.exitCode, event.message], ['error', 'TASK_NOT_FOUND', expectedExitCode, 'Task does not exist'], `an error event should be sent when task file does not exist`);
 
         // invalid json file
         p = new Process(cmdLine, {env:{'PATH_INFO':'invalidJson'}});
         state = await p.run();
         tester.assertEq(state.exitCode, expectedExitCode, `exit code should be ${expectedExitCode} when task file does not contain valid json`);
+        event = JSON.parse(p.stdout);
+        tester.assertEq(event.code, 'INVALID_JSON', `error code should be 'INVALID_JSON' when task file does not contain valid json`);
+
+        // full details
+        p = new Process(`${cmdLine} --error-details full`, {env:{'PATH_INFO':'missingFile'}});
+        state = await p.run();
+        event = JSON.parse(p.stdout);
+        tester.assertEq(event.message, p.stderr.trim(), `error message should be the one printed on stderr when using --error-details full`);
+
+        // no details
+        p = new Process(`${cmdLine} --error-details none`, {env:{'PATH_INFO':'missingFile'}});
+        state = await p.run();
+        tester.assertEq(p.stdout, '', `no error event should be sent when using --error-details none`);
 
         done();
     }, {
@@ -63,11 +80,71 @@ export default () => {
             {tid:'18', stderr:"'passwords'"},
             {tid:'19', stderr:"'passwords'"},
             {tid:'20', stderr:"'passwords'"},
+            {tid:'27', stderr:"'passwords'"},
+            {tid:'28', stderr:"'passwords'"},
+            // invalid stdinProtocol property
+            {tid:'21', stderr:"'stdinProtocol'"},
+            // invalid params property
+            {tid:'22', stderr:"'count'"},
+            {tid:'23', stderr:"'mode'"},
+            {tid:'24', stderr:"'count'"},
+            // invalid substitution property
+            {tid:'25', stderr:"'substitution'"},
+            {tid:'26', stderr:"'substitution'"},
+            // invalid allowedOrigins property
+            {tid:'29', stderr:"'allowedOrigins'"},
+            // invalid extends property (cycle & missing parent)
+            {tid:'30', stderr:"'extends'"},
+            {tid:'31', stderr:"'extends'"},
+            // invalid steps property
+            {tid:'32', stderr:"'steps'"},
+            {tid:'33', stderr:"'steps'"},
+            // invalid maxConcurrent property
+            {tid:'34', stderr:"'maxConcurrent'"},
+            // invalid onBusy property
+            {tid:'35', stderr:"'onBusy'"},
+            // invalid parsers property
+            {tid:'36', stderr:"'parsers'"},
+            {tid:'37', stderr:"'parsers'"},
+            // invalid outputFormat property
+            {tid:'38', stderr:"'outputFormat'"},
+            // invalid encoding property
+            {tid:'39', stderr:"'encoding'"},
+            // invalid batchInterval property
+            {tid:'40', stderr:"'batchInterval'"},
+            // invalid onOutputLimit property
+            {tid:'41', stderr:"'onOutputLimit'"},
+            // invalid limits property
+            {tid:'42', stderr:"'limits'"},
+            {tid:'43', stderr:"'limits'"},
+            // invalid groups property
+            {tid:'44', stderr:"'groups'"},
+            // invalid killSignal property
+            {tid:'45', stderr:"'killSignal'"},
+            // invalid allowedAddresses property
+            {tid:'46', stderr:"'allowedAddresses'"},
+            // invalid env property
+            {tid:'47', stderr:"'env'"},
+            // env substitution mode without shell
+            {tid:'48', stderr:"'substitution'"},
+            // reserved parser fields & events
+            {tid:'49', stderr:"'parsers'"},
+            {tid:'50', stderr:"'parsers'"},
+            {tid:'51', stderr:"'parsers'"},
+            // invalid trustedProxies property
+            {tid:'52', stderr:"'trustedProxies'"},
+            // unknown property in parameter definition
+            {tid:'53', stderr:"'requried'"},
+            // bounds for boolean & enum parameters
+            {tid:'54', stderr:"'min'"},
+            {tid:'55', stderr:"'max'"},
+            // invalid killSignal property is rejected even without --strict
+            {tid:'45', stderr:"'killSignal'", strict:false},
         ];
 
         for (let i = 0; i < tasks.length; ++i) {
             task = tasks[i];
-            p = new Process(cmdLine, {env:{'PATH_INFO':task.tid}});
+            p = new Process((false === task.strict) ? cmdLine.replace(' --strict', '') : cmdLine, {env:{'PATH_INFO':task.tid}});
             state = await p.run();
             tester.assertEq(state.exitCode, expectedExitCode, `exit code should be ${expectedExitCode} when using file '${task.tid}.json'`);
             tester.assert(p.stderr.includes(task.stderr), `stderr should contain ${JSON.stringify(task.stderr)} when using file '${task.tid}.json'`, {actualResult:p.stderr});
@@ -2,6 +2,7 @@ import { tester } from 'ext/tester.js';
 import { Process } from 'ext/process.js';
 
 import * as std from 'std';
+import * as os from 'os';
 
 const getTasksDir = (taskId) => {
     return `./data/validTasks/${taskId}`;
@@ -113,7 +114,7 @@ export default () => {
 
     tester.test('valid json', async (done) => {
         // list of task ids
-        const tasks = ['01', '02', '03', '04'];
+        const tasks = ['01', '02', '03', '04', '15', '19', '31', '32', '44', '52', '59', '63'];
 
         const expectedExitCode = 0;
 
@@ -174,6 +175,41 @@ export default () => {
         isAsync:true
     });
 
+    tester.test('stdinProtocol', async (done) => {
+        // list of task ids
+        const tasks = [
+            // stdin & closeStdin messages
+            '13',
+            // signal message
+            '14',
+            // stdin is closed when client input is closed
+            '60'
+        ];
+
+        for (let i = 0; i < tasks.length; ++i) {
+            const tid = tasks[i];
+            const cmdLine = `cat ${getTasksDir(tid)}/input.txt | ${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+            const env = getEnv(tid);
+            const expectedOutput = getExpectedTextOutput(tid);
+            const expectedExitCode = getExpectedTaskExitCode(tid);
+            env['PATH_INFO'] = 'task';
+            const p = new Process(cmdLine, {
+                env:env,
+                useShell:true
+            });
+            await p.run();
+            const taskState = extractState(p.stdout);
+            tester.assertEq(taskState.exitCode, expectedExitCode, `task exit code should be ${expectedExitCode} when using file '${tid}.json'`);
+            const actualOutput = extractStdout(p.stdout);
+            tester.assertEq(actualOutput, expectedOutput, `stdout should be as expected when using file '${tid}.json'`);
+        }
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
     tester.test('passwords', async (done) => {
         // list of task ids
         const tasks = [
@@ -188,7 +224,13 @@ export default () => {
             // invalid password (single password)
             '11',
             // invalid password (multiple passwords)
-            '12'
+            '12',
+            // valid password (sha256)
+            '20',
+            // valid password (pbkdf2)
+            '21',
+            // invalid password (sha256)
+            '22'
         ];
 
         for (let i = 0; i < tasks.length; ++i) {
@@ -217,4 +259,832 @@ export default () => {
     }, {
         isAsync:true
     });
+
+    tester.test('params', async (done) => {
+        // list of task ids
+        const tasks = [
+            // invalid value
+            '16',
+            // unknown parameter
+            '17',
+            // missing parameter
+            '18',
+            // partial regex match
+            '51',
+            // malformed percent-encoding
+            '62'
+        ];
+
+        for (let i = 0; i < tasks.length; ++i) {
+            const tid = tasks[i];
+            const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+            const env = getEnv(tid);
+            const expectedOutput = getExpectedTextOutput(tid);
+            const expectedExitCode = getExpectedControllerExitCode(tid);
+            env['PATH_INFO'] = 'task';
+            const p = new Process(cmdLine, {
+                env:env
+            });
+            const state = await p.run();
+            tester.assertEq(state.exitCode, expectedExitCode, `controller exit code should be ${expectedExitCode} when using file '${tid}.json'`);
+            tester.assert(p.stderr.includes(expectedOutput), `stderr should contain ${JSON.stringify(expectedOutput)} when using file '${tid}.json'`, {actualResult:p.stderr});
+        }
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('tokens', async (done) => {
+        // list of task ids
+        const tasks = [
+            // valid token (restricted to query parameters)
+            '23',
+            // expired token
+            '24',
+            // query parameters mismatch
+            '25',
+            // missing token
+            '26',
+            // valid token (query parameter containing '&' & '=')
+            '53',
+            // query parameters mismatch (same parameters once joined without encoding)
+            '54'
+        ];
+
+        for (let i = 0; i < tasks.length; ++i) {
+            const tid = tasks[i];
+            const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --token-secret-file ./data/token_secret.txt`;
+            const env = getEnv(tid);
+            const expectedOutput = getExpectedTextOutput(tid);
+            const expectedExitCode = getExpectedControllerExitCode(tid);
+            env['PATH_INFO'] = 'task';
+            const p = new Process(cmdLine, {
+                env:env
+            });
+            const state = await p.run();
+            tester.assertEq(state.exitCode, expectedExitCode, `controller exit code should be ${expectedExitCode} when using file '${tid}.json'`);
+            if (0 == state.exitCode) {
+                const actualOutput = extractStdout(p.stdout);
+                tester.assertEq(actualOutput, expectedOutput, `stdout should be as expected when using file '${tid}.json'`);
+            }
+            else {
+                tester.assert(p.stderr.includes(expectedOutput), `stderr should contain ${JSON.stringify(expectedOutput)} when using file '${tid}.json'`, {actualResult:p.stderr});
+            }
+        }
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('origins', async (done) => {
+        // list of task ids
+        const tasks = [
+            // same host name
+            '27',
+            // same IPv6 address
+            '28',
+            // same origin policy mismatch
+            '29',
+            // origin not allowed for task
+            '30'
+        ];
+
+        for (let i = 0; i < tasks.length; ++i) {
+            const tid = tasks[i];
+            const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --same-origin`;
+            const env = getEnv(tid);
+            const expectedOutput = getExpectedTextOutput(tid);
+            const expectedExitCode = getExpectedControllerExitCode(tid);
+            env['PATH_INFO'] = 'task';
+            const p = new Process(cmdLine, {
+                env:env
+            });
+            const state = await p.run();
+            tester.assertEq(state.exitCode, expectedExitCode, `controller exit code should be ${expectedExitCode} when using file '${tid}.json'`);
+            if (0 == state.exitCode) {
+                const actualOutput = extractStdout(p.stdout);
+                tester.assertEq(actualOutput, expectedOutput, `stdout should be as expected when using file '${tid}.json'`);
+            }
+            else {
+                tester.assert(p.stderr.includes(expectedOutput), `stderr should contain ${JSON.stringify(expectedOutput)} when using file '${tid}.json'`, {actualResult:p.stderr});
+            }
+        }
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('steps', async (done) => {
+        const tid = '33';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const env = getEnv(tid);
+        const expectedOutput = getExpectedTextOutput(tid);
+        const expectedExitCode = getExpectedTaskExitCode(tid);
+        env['PATH_INFO'] = 'task';
+        const p = new Process(cmdLine, {
+            env:env
+        });
+        await p.run();
+        const events = parseEvents(p.stdout);
+        const startedSteps = events.filter(e => 'stepStart' == e.event).map(e => e.name);
+        tester.assertEq(startedSteps, ['fetch', 'build', 'restart'], `execution should stop after first failing step when using file '${tid}.json'`);
+        const exitedSteps = events.filter(e => 'stepExit' == e.event).map(e => e.state.exitCode);
+        tester.assertEq(exitedSteps, [1, 0, 1], `stepExit events should contain the exit code of each step when using file '${tid}.json'`);
+        const taskState = extractState(p.stdout);
+        tester.assertEq(taskState.exitCode, expectedExitCode, `task exit code should be ${expectedExitCode} when using file '${tid}.json'`);
+        tester.assertEq(taskState.steps.length, 3, `exit state should contain 3 steps when using file '${tid}.json'`);
+        const actualOutput = extractStdout(p.stdout);
+        tester.assertEq(actualOutput, expectedOutput, `stdout should be as expected when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('maxConcurrent', async (done) => {
+        const tid = '34';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const expectedOutput = getExpectedTextOutput(tid);
+        const expectedExitCode = getExpectedControllerExitCode(tid);
+        // process used to hold the slot or the entry in queue
+        const holder = new Process('sleep 60');
+        const holderPromise = holder.run();
+        const files = [
+            // slot is already used by a running process
+            `./data/validTasks/${tid}/.task.0.lock`,
+            // slot is free but another client is waiting in queue
+            `./data/validTasks/${tid}/.task.wait.${`${Date.now()}`.padStart(15, '0')}.${holder.pid}`
+        ];
+        for (const file of files) {
+            const f = std.open(file, 'w');
+            f.puts(`${holder.pid}\n`);
+            f.close();
+            const env = getEnv(tid);
+            env['PATH_INFO'] = 'task';
+            const p = new Process(cmdLine, {
+                env:env
+            });
+            const state = await p.run();
+            os.remove(file);
+            tester.assertEq(state.exitCode, expectedExitCode, `controller exit code should be ${expectedExitCode} when using file '${tid}.json' (${file})`);
+            tester.assert(p.stderr.includes(expectedOutput), `stderr should contain ${JSON.stringify(expectedOutput)} when using file '${tid}.json' (${file})`, {actualResult:p.stderr});
+            const events = parseEvents(p.stdout);
+            tester.assertEq(events[0].event, 'busy', `a busy event should be sent when using file '${tid}.json' (${file})`);
+        }
+        holder.kill();
+        await holderPromise;
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('maxRuns', async (done) => {
+        // task files are removed by controller so they need to be created in a temporary directory
+        const ctxDir = `/tmp/websocketd-controller.${Date.now()}`;
+        os.mkdir(ctxDir);
+        const tasks = [
+            {tid:'oneShot', task:{cmdLine:'echo ok'}, exitCodes:[0, 3]},
+            {tid:'maxRuns', task:{cmdLine:'echo ok', maxRuns:2}, exitCodes:[0, 0, 3]}
+        ];
+        for (const t of tasks) {
+            const f = std.open(`${ctxDir}/${t.tid}.json`, 'w');
+            f.puts(JSON.stringify(t.task));
+            f.close();
+            const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ${ctxDir}`;
+            const exitCodes = [];
+            for (let i = 0; i < t.exitCodes.length; ++i) {
+                const p = new Process(cmdLine, {
+                    env:{PATH_INFO:t.tid}
+                });
+                const state = await p.run();
+                exitCodes.push(state.exitCode);
+            }
+            tester.assertEq(exitCodes, t.exitCodes, `controller exit codes should be ${JSON.stringify(t.exitCodes)} when using file '${t.tid}.json'`);
+        }
+        // only the counter should be kept
+        tester.assertEq(os.readdir(ctxDir)[0].filter(e => '.' !== e && '..' !== e), ['.maxRuns.runs'], `context directory should only contain the counter`);
+        os.remove(`${ctxDir}/.maxRuns.runs`);
+
+        // concurrent controllers should not exceed maxRuns
+        const maxRuns = 2;
+        const f = std.open(`${ctxDir}/parallel.json`, 'w');
+        f.puts(JSON.stringify({cmdLine:'echo ok', maxRuns:maxRuns}));
+        f.close();
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ${ctxDir}`;
+        const promises = [];
+        for (let i = 0; i < 5; ++i) {
+            const p = new Process(cmdLine, {
+                env:{PATH_INFO:'parallel'}
+            });
+            promises.push(p.run());
+        }
+        const states = await Promise.all(promises);
+        const successCount = states.filter(state => 0 == state.exitCode).length;
+        tester.assertEq(successCount, maxRuns, `only ${maxRuns} concurrent controllers should succeed when using file 'parallel.json'`);
+        os.remove(`${ctxDir}/.parallel.runs`);
+
+        // rejected clients should not use up the executions of a task
+        const holder = new Process('sleep 60');
+        const holderPromise = holder.run();
+        const rejectedTasks = [
+            {tid:'rejectedOneShot', task:{cmdLine:'echo ok', passwords:'pass', maxConcurrent:1}},
+            {tid:'rejectedMaxRuns', task:{cmdLine:'echo ok', passwords:'pass', maxConcurrent:1, maxRuns:1}}
+        ];
+        for (const t of rejectedTasks) {
+            let f = std.open(`${ctxDir}/${t.tid}.json`, 'w');
+            f.puts(JSON.stringify(t.task));
+            f.close();
+            const exitCodes = [];
+            // wrong password
+            let p = new Process(cmdLine, {
+                env:{PATH_INFO:t.tid, QUERY_STRING:'_password=wrong'}
+            });
+            exitCodes.push((await p.run()).exitCode);
+            // slot is already used by a running process
+            const lockFile = `${ctxDir}/.${t.tid}.0.lock`;
+            f = std.open(lockFile, 'w');
+            f.puts(`${holder.pid}\n`);
+            f.close();
+            p = new Process(cmdLine, {
+                env:{PATH_INFO:t.tid, QUERY_STRING:'_password=pass'}
+            });
+            exitCodes.push((await p.run()).exitCode);
+            os.remove(lockFile);
+            // task should still be runnable
+            p = new Process(cmdLine, {
+                env:{PATH_INFO:t.tid, QUERY_STRING:'_password=pass'}
+            });
+            exitCodes.push((await p.run()).exitCode);
+            tester.assertEq(exitCodes, [6, 8, 0], `controller exit codes should be [6,8,0] when using file '${t.tid}.json'`);
+            tester.assert(0 !== os.stat(`${ctxDir}/${t.tid}.json`)[1], `task file should be removed after being executed when using file '${t.tid}.json'`);
+        }
+        holder.kill();
+        await holderPromise;
+
+        // remove counter & failed attempts
+        for (const name of os.readdir(ctxDir)[0]) {
+            if ('.' !== name && '..' !== name) {
+                os.remove(`${ctxDir}/${name}`);
+            }
+        }
+        os.remove(ctxDir);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('detachable', async (done) => {
+        const tid = '35';
+        // runs are stored in a temporary directory
+        const stateDir = `/tmp/websocketd-controller.${Date.now()}`;
+        os.mkdir(stateDir);
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --state-dir ${stateDir}`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        let state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        let events = parseEvents(p.stdout);
+        tester.assertEq(events[0].event, 'started', `a started event should be sent when using file '${tid}.json'`);
+        tester.assertEq(events[events.length - 1].event, 'exit', `an exit event should be sent when using file '${tid}.json'`);
+        tester.assertEq(events.map(e => e.seq), events.map((e, i) => i + 1), `events should be renumbered when using file '${tid}.json'`);
+        const runId = events[0].runId;
+
+        // replay journal
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:`task/attach/${runId}`}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when attaching to run of file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        tester.assertEq(events.map(e => e.event), ['start', 'stdout', 'exit'], `journal should be replayed when attaching to run of file '${tid}.json'`);
+        tester.assertEq(events[1].data, 'ok', `stdout event should be replayed when attaching to run of file '${tid}.json'`);
+        tester.assertEq(events.map(e => e.seq), events.map((e, i) => i + 1), `events should be renumbered when attaching to run of file '${tid}.json'`);
+
+        // unknown run
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:`task/attach/${'0'.repeat(32)}`}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 3, `controller exit code should be 3 when attaching to an unknown run of file '${tid}.json'`);
+
+        // supervisor stopped before the end of the run (journal does not contain an exit event)
+        const runDir = `${stateDir}/runs/${runId}`;
+        const interruptedRunId = 'f'.repeat(32);
+        const interruptedRunDir = `${stateDir}/runs/${interruptedRunId}`;
+        os.mkdir(interruptedRunDir);
+        let f = std.open(`${interruptedRunDir}/run.json`, 'w');
+        f.puts(std.loadFile(`${runDir}/run.json`));
+        f.close();
+        f = std.open(`${interruptedRunDir}/journal`, 'w');
+        f.puts(std.loadFile(`${runDir}/journal`).split('\n').filter(line => '' !== line && 'exit' != JSON.parse(line).event).map(line => `${line}\n`).join(''));
+        f.close();
+        // pid of a controller which already exited
+        f = std.open(`${interruptedRunDir}/pid`, 'w');
+        f.puts(`${p.pid}\n`);
+        f.close();
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:`task/attach/${interruptedRunId}`}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 14, `controller exit code should be 14 when attaching to an interrupted run of file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        tester.assertEq(events[events.length - 1].code, 'RUN_INTERRUPTED', `an error event should be sent when attaching to an interrupted run of file '${tid}.json'`);
+
+        // password is checked when attaching to a run of a protected task
+        const protectedTid = '55';
+        const protectedCmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${protectedTid} --state-dir ${stateDir} --run-retention 1 --denied-address 192.168.1.1`;
+        p = new Process(protectedCmdLine, {
+            env:{PATH_INFO:'task', QUERY_STRING:'_password=password', REMOTE_ADDR:'127.0.0.1'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${protectedTid}.json'`);
+        const protectedRunId = parseEvents(p.stdout)[0].runId;
+        const clients = [
+            {queryString:'', exitCode:6},
+            {queryString:'_password=other', exitCode:6},
+            {queryString:'_password=password', exitCode:0},
+            // client address is checked too
+            {queryString:'_password=password', remoteAddr:'192.168.1.1', exitCode:11}
+        ];
+        for (const client of clients) {
+            p = new Process(protectedCmdLine, {
+                env:{PATH_INFO:`task/attach/${protectedRunId}`, QUERY_STRING:client.queryString, REMOTE_ADDR:client.remoteAddr || '127.0.0.1'}
+            });
+            state = await p.run();
+            tester.assertEq(state.exitCode, client.exitCode, `controller exit code should be ${client.exitCode} when attaching to run of file '${protectedTid}.json' (query string = ${JSON.stringify(client.queryString)}, address = ${JSON.stringify(client.remoteAddr)})`);
+        }
+
+        // finished runs are removed after retention period, once another run is started
+        await new Promise(resolve => os.setTimeout(resolve, 2000));
+        p = new Process(protectedCmdLine, {
+            env:{PATH_INFO:'task', QUERY_STRING:'_password=password', REMOTE_ADDR:'127.0.0.1'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${protectedTid}.json'`);
+        tester.assert(0 !== os.stat(`${stateDir}/runs/${protectedRunId}`)[1], `finished run of file '${protectedTid}.json' should have been removed`);
+
+        os.exec(['rm', '-rf', stateDir]);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('audit log', async (done) => {
+        const tid = '36';
+        const auditLog = `/tmp/websocketd-controller.${Date.now()}.log`;
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --audit-log ${auditLog}`;
+        const connections = [
+            {taskId:'task', qs:'_password=pass&id=5&card=1234'},
+            {taskId:'task', qs:'_password=invalid&id=5&card=1234'},
+            {taskId:'missing', qs:''}
+        ];
+        for (const c of connections) {
+            const p = new Process(cmdLine, {
+                env:{PATH_INFO:c.taskId, QUERY_STRING:c.qs}
+            });
+            await p.run();
+        }
+        const entries = std.loadFile(auditLog).trim().split('\n').map(str => JSON.parse(str));
+        tester.assertEq(entries.length, 3, `audit log should contain one entry per connection`);
+
+        tester.assertEq(entries[0].controllerExitCode, 0, `controller exit code should be logged`);
+        tester.assertEq(entries[0].exitCode, 0, `exit code of the task should be logged`);
+        tester.assertEq(entries[0].queryParams, {id:'5', card:'***', _password:'***'}, `secret query parameters should be redacted`);
+        tester.assertEq(entries[0].cmdLine, 'echo ***', `secret query parameters should be redacted in command line`);
+        tester.assertEq(entries[0].auth, {method:'password', passed:true}, `successful authentication should be logged`);
+        tester.assert(entries[0].bytes > 0, `number of bytes sent to client should be logged`, {actualResult:entries[0].bytes});
+
+        tester.assertEq(entries[1].controllerExitCode, 6, `controller exit code should be logged when password is invalid`);
+        tester.assertEq(entries[1].auth, {method:'password', passed:false}, `failed authentication should be logged`);
+        tester.assertEq(entries[1].exitCode, undefined, `exit code of the task should not be logged when password is invalid`);
+
+        tester.assertEq(entries[2].controllerExitCode, 3, `controller exit code should be logged when task does not exist`);
+        tester.assert(entries[2].error.includes('does not exist'), `error should be logged when task does not exist`, {actualResult:entries[2].error});
+
+        os.remove(auditLog);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('parsers', async (done) => {
+        const tid = '37';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout).filter(e => 'start' != e.event).map((e) => {
+            delete e.timestamp;
+            delete e.seq;
+            delete e.elapsed;
+            return e;
+        });
+        tester.assertEq(events.slice(0, 4), [
+            {event:'progress', percent:42},
+            {event:'stdout', data:'42% done'},
+            {event:'step', current:3, total:10},
+            {event:'stdout', data:'other'}
+        ], `parsers should emit events when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('outputFormat', async (done) => {
+        const tid = '38';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout).filter(e => 'start' != e.event).map((e) => {
+            delete e.timestamp;
+            delete e.seq;
+            delete e.elapsed;
+            return e;
+        });
+        tester.assertEq(events.slice(0, 4), [
+            {event:'stdout', data:{count:3}},
+            {event:'progress', data:{percent:10}},
+            {event:'stdout', data:'not json', parseError:true},
+            {event:'stdout', data:{type:'exit', code:1}}
+        ], `json lines should be parsed when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('encoding', async (done) => {
+        const tid = '39';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout);
+        const data = events.filter(e => 'stdout' == e.event).map(e => e.data).join('');
+        tester.assertEq(data, '0102ff', `output should be hex encoded when using file '${tid}.json'`);
+        const exitEvent = events[events.length - 1];
+        tester.assertEq(exitEvent.event, 'exit', `last event should be an exit event when using file '${tid}.json'`);
+        tester.assertEq(exitEvent.bytes, 3, `exit event should contain the total number of bytes when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('batching', async (done) => {
+        let tid = '40';
+        let cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        let state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        let events = parseEvents(p.stdout).filter(e => 'stdout' == e.event);
+        tester.assert(undefined === events.find(e => undefined === e.lines || e.lines.length > 4), `stdout events should contain at most 4 lines when using file '${tid}.json'`, {actualResult:events});
+        const lines = [].concat(...events.map(e => e.lines));
+        tester.assertEq(lines.join(','), '1,2,3,4,5,6,7,8,9,10', `all lines should be sent when using file '${tid}.json'`);
+
+        // rate limit
+        tid = '41';
+        cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        const sentCount = events.filter(e => 'stdout' == e.event).length;
+        const droppedCount = events.filter(e => 'dropped' == e.event).reduce((total, e) => total + e.stdout, 0);
+        tester.assert(sentCount < 100, `some lines should be dropped when using file '${tid}.json'`, {actualResult:sentCount});
+        tester.assertEq(sentCount + droppedCount, 100, `dropped events should count dropped lines when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('output limits', async (done) => {
+        // limit defined on command line
+        let tid = '42';
+        let cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --max-output-lines 3`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        let state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        let events = parseEvents(p.stdout);
+        tester.assertEq(events.filter(e => 'stdout' == e.event).length, 3, `only 3 stdout events should be sent when using file '${tid}.json'`);
+        tester.assertEq(events.filter(e => 'outputLimit' == e.event).length, 1, `an outputLimit event should be sent when using file '${tid}.json'`);
+        tester.assertEq(events[events.length - 1].state.truncated, true, `exit state should be truncated when using file '${tid}.json'`);
+
+        // process is killed
+        tid = '43';
+        cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 1, `controller exit code should be 1 when using file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        tester.assertEq(events.filter(e => 'stdout' == e.event).length, 5, `only 5 stdout events should be sent when using file '${tid}.json'`);
+        tester.assertEq(events[events.length - 1].state.truncated, true, `exit state should be truncated when using file '${tid}.json'`);
+
+        // parser events are limited too
+        tid = '37';
+        cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --max-output-lines 1`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        tester.assertEq(events.filter(e => ['progress', 'step', 'stdout'].includes(e.event)).map(e => e.event), ['progress', 'stdout'], `parser events should not be sent once output limit is reached when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('resource limits', async (done) => {
+        // process is killed by SIGXFSZ when writing more than fileSize bytes
+        const tid = '56';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        os.remove('/tmp/websocketd-controller.fileSize');
+        tester.assertEq(state.exitCode, 1, `controller exit code should be 1 when using file '${tid}.json'`);
+        const exitState = extractState(p.stdout);
+        tester.assertEq(exitState.signal, 'SIGXFSZ', `task should be killed using SIGXFSZ when using file '${tid}.json'`);
+        tester.assertEq(exitState.limit, 'fileSize', `exit state should indicate that fileSize limit was exceeded when using file '${tid}.json'`);
+
+        // executable is not searched using PATH when usePath is false
+        const noPathTid = '61';
+        const noPathCmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${noPathTid} --strict`;
+        const noPathProcess = new Process(noPathCmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const noPathState = await noPathProcess.run();
+        tester.assertEq(noPathState.exitCode, 0, `controller exit code should be 0 when using file '${noPathTid}.json'`);
+        tester.assert(extractStdout(noPathProcess.stdout).startsWith('$1:'), `task should be executed from its working directory when using file '${noPathTid}.json'`, {actualResult:noPathProcess.stdout});
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('run as another user', async (done) => {
+        // controller can only switch to another user or group when it is run as root
+        const id = new Process('id -u');
+        await id.run();
+        const isRoot = ('0' == id.stdout.trim());
+
+        // setpriv is used to switch to the user
+        let tid = '57';
+        let cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --dry-run`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        let state = await p.run();
+        if (isRoot) {
+            tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+            tester.assertEq(JSON.parse(p.stdout), getExpectedJsonOutput(tid), `stdout should be as expected when using file '${tid}.json'`);
+        }
+        else {
+            tester.assertEq(state.exitCode, 9, `controller exit code should be 9 when using file '${tid}.json' (controller is not run as root)`);
+        }
+
+        // user does not exist
+        tid = '58';
+        cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 9, `controller exit code should be 9 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout);
+        tester.assertEq(events[0].event, 'error', `an error event should be sent when using file '${tid}.json'`);
+        tester.assertEq(events[0].code, 'USER_SWITCH_FAILED', `error code should be USER_SWITCH_FAILED when using file '${tid}.json'`);
+        tester.assert(p.stderr.includes('does not exist'), `stderr should indicate that user does not exist when using file '${tid}.json'`, {actualResult:p.stderr});
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('termination', async (done) => {
+        // no output after first line
+        let tid = '45';
+        let cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        let state = await p.run();
+        tester.assertEq(state.exitCode, 1, `controller exit code should be 1 when using file '${tid}.json'`);
+        let events = parseEvents(p.stdout);
+        let terminating = events.filter(e => 'terminating' == e.event);
+        tester.assertEq(terminating.length, 1, `a terminating event should be sent when using file '${tid}.json'`);
+        tester.assertEq(terminating[0].reason, 'idleTimeout', `terminating reason should be 'idleTimeout' when using file '${tid}.json'`);
+        let exitState = events[events.length - 1].state;
+        tester.assertEq(exitState.killedBy, 'idleTimeout', `exit state should indicate task was killed after idle timeout when using file '${tid}.json'`);
+        tester.assertEq(exitState.didTimeout, true, `exit state should indicate task timed out when using file '${tid}.json'`);
+
+        // SIGTERM is ignored by task
+        tid = '46';
+        cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        state = await p.run();
+        tester.assertEq(state.exitCode, 1, `controller exit code should be 1 when using file '${tid}.json'`);
+        events = parseEvents(p.stdout);
+        terminating = events.filter(e => 'terminating' == e.event);
+        tester.assertEq(terminating.map(e => e.signal), ['SIGTERM', 'SIGKILL'], `SIGTERM then SIGKILL should be sent when using file '${tid}.json'`);
+        exitState = events[events.length - 1].state;
+        tester.assertEq(exitState.killedBy, 'timeout', `exit state should indicate task was killed after timeout when using file '${tid}.json'`);
+        tester.assertEq(exitState.signal, 'SIGKILL', `task should be killed using SIGKILL when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('lifecycle events', async (done) => {
+        const tid = '47';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout);
+        tester.assertEq(events.map(e => e.seq), events.map((e, index) => index + 1), `events should be numbered when using file '${tid}.json'`);
+        tester.assertEq(events[0].event, 'start', `first event should be a start event when using file '${tid}.json'`);
+        tester.assert(/^[0-9a-f]{32}$/.test(events[0].runId), `start event should contain a run id when using file '${tid}.json'`, {actualResult:events[0]});
+        tester.assert(events[0].pid > 0, `start event should contain the pid of the task when using file '${tid}.json'`, {actualResult:events[0]});
+        tester.assertEq(events[0].timeout, 10, `start event should contain the timeout when using file '${tid}.json'`);
+        tester.assert(events.filter(e => 'heartbeat' == e.event).length > 0, `heartbeat events should be sent when using file '${tid}.json'`, {actualResult:events});
+        const exitState = extractState(p.stdout);
+        tester.assert(exitState.duration >= 2000, `exit state should contain the duration when using file '${tid}.json'`);
+        tester.assertEq(exitState.stdout, {bytes:12, lines:2}, `exit state should contain stdout statistics when using file '${tid}.json'`);
+        tester.assertEq(exitState.stderr, {bytes:6, lines:1}, `exit state should contain stderr statistics when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('brute-force protection', async (done) => {
+        const tid = '48';
+        const stateDir = `/tmp/websocketd-controller.${Date.now()}`;
+        os.mkdir(stateDir);
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict --state-dir ${stateDir}`;
+        // failed attempts which were not updated during 2 days are expired
+        const expiredFiles = [`${stateDir}/.task.10.0.0.8.auth`, `${stateDir}/.task.10.0.0.9.auth`];
+        for (const file of expiredFiles) {
+            const f = std.open(file, 'w');
+            f.puts(JSON.stringify({failures:[], lockouts:3, lockedUntil:Date.now() + 3600 * 1000}));
+            f.close();
+            const mtime = Date.now() - 3 * 86400 * 1000;
+            os.utimes(file, mtime, mtime);
+        }
+        const attempts = [
+            {remoteAddr:'10.0.0.1', password:'invalid', exitCode:6},
+            {remoteAddr:'10.0.0.1', password:'invalid', exitCode:6},
+            // remote address is locked out, even with a valid password
+            {remoteAddr:'10.0.0.1', password:'secret', exitCode:10},
+            // other remote addresses are not locked out
+            {remoteAddr:'10.0.0.2', password:'secret', exitCode:0},
+            // lockout has expired
+            {remoteAddr:'10.0.0.9', password:'secret', exitCode:0},
+            // IPv6 addresses are counted per /64 prefix
+            {remoteAddr:'2001:db8::1', password:'invalid', exitCode:6},
+            {remoteAddr:'2001:db8::2', password:'invalid', exitCode:6},
+            {remoteAddr:'2001:db8::3', password:'secret', exitCode:10},
+            {remoteAddr:'2001:db8:0:1::1', password:'secret', exitCode:0}
+        ];
+        for (const attempt of attempts) {
+            const p = new Process(cmdLine, {
+                env:{
+                    PATH_INFO:'task',
+                    REMOTE_ADDR:attempt.remoteAddr,
+                    QUERY_STRING:`_password=${attempt.password}`
+                }
+            });
+            const state = await p.run();
+            tester.assertEq(state.exitCode, attempt.exitCode, `controller exit code should be ${attempt.exitCode} when using password '${attempt.password}' from '${attempt.remoteAddr}'`);
+            if (10 == attempt.exitCode) {
+                const event = parseEvents(p.stdout)[0];
+                tester.assertEq(event.code, 'LOCKED_OUT', `error code should be 'LOCKED_OUT' when remote address is locked out`);
+            }
+        }
+        tester.assert(0 !== os.stat(expiredFiles[0])[1], `expired failed attempts should be removed`);
+        const [names] = os.readdir(stateDir);
+        names.filter(e => '.' !== e && '..' !== e).forEach((name) => {
+            os.remove(`${stateDir}/${name}`);
+        });
+        os.remove(stateDir);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('client addresses', async (done) => {
+        const tid = '49';
+        const cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        const clients = [
+            {remoteAddr:'10.1.2.3', exitCode:0},
+            {remoteAddr:'::ffff:10.1.2.3', exitCode:0},
+            {remoteAddr:'fd00::1', exitCode:0},
+            {remoteAddr:'192.168.1.1', exitCode:11},
+            // denied addresses take precedence
+            {remoteAddr:'10.0.0.66', exitCode:11},
+            // last address of X-Forwarded-For is used
+            {remoteAddr:'127.0.0.1', forwardedFor:'10.1.2.3, 10.1.2.4', exitCode:0},
+            {remoteAddr:'127.0.0.1', forwardedFor:'10.1.2.3, 192.168.1.1', exitCode:11},
+            // X-Forwarded-For is ignored when client is not a trusted proxy
+            {remoteAddr:'192.168.1.1', forwardedFor:'10.1.2.3', exitCode:11},
+            {remoteAddr:'10.1.2.3', forwardedFor:'192.168.1.1', exitCode:0}
+        ];
+        for (const client of clients) {
+            const env = {
+                PATH_INFO:'task',
+                REMOTE_ADDR:client.remoteAddr
+            };
+            if (undefined !== client.forwardedFor) {
+                env.HTTP_X_FORWARDED_FOR = client.forwardedFor;
+            }
+            const p = new Process(cmdLine, {env:env});
+            const state = await p.run();
+            tester.assertEq(state.exitCode, client.exitCode, `controller exit code should be ${client.exitCode} when client address is '${client.remoteAddr}' (X-Forwarded-For = ${JSON.stringify(client.forwardedFor)})`);
+        }
+
+        done();
+
+    }, {
+        isAsync:true
+    });
+
+    tester.test('secrets', async (done) => {
+        const tid = '50';
+        let cmdLine = `${globalThis.qjsBinary} ../src/websocketd-controller.js -c ./data/validTasks/${tid} --strict`;
+        let p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        const state = await p.run();
+        tester.assertEq(state.exitCode, 0, `controller exit code should be 0 when using file '${tid}.json'`);
+        const events = parseEvents(p.stdout);
+        tester.assertEq(events.filter(e => 'stdout' == e.event).map(e => e.data), ['password=***'], `secret should be redacted from stdout when using file '${tid}.json'`);
+        tester.assertEq(events.filter(e => 'stderr' == e.event).map(e => e.data), ['***'], `secret should be redacted from stderr when using file '${tid}.json'`);
+        tester.assert(!p.stderr.includes('s3cr3t'), `secret should be redacted from stderr logging when using file '${tid}.json'`, {actualResult:p.stderr});
+
+        // dry run
+        cmdLine = `${cmdLine} --dry-run`;
+        p = new Process(cmdLine, {
+            env:{PATH_INFO:'task'}
+        });
+        await p.run();
+        tester.assertEq(JSON.parse(p.stdout).options.env.DB_PASSWORD, '***', `secret should not be displayed by --dry-run when using file '${tid}.json'`);
+
+        done();
+
+    }, {
+        isAsync:true
+    });
 }